@@ -0,0 +1,503 @@
+/**
+ * Copyright (c) Veiss Comunicación.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * Service Worker build. Bundles a Service Worker entry and the modules it
+ * imports into a single classic script, with its configuration and precache
+ * manifest inlined.
+ *
+ * The Service Worker modules (src/sw) share the top-level scope of the
+ * bundle, so scripts loaded with importScripts() can still use their
+ * functions. Other modules are wrapped in their own function scope.
+ *
+ * Usage: node src/build.js <output> [--minify]
+ *
+ * @summary Veiss Comunicación Service Worker build.
+ * @author Veiss Comunicación
+ * @license MIT
+ */
+
+'use strict';
+
+var fs   = require('fs');
+var path = require('path');
+
+var packageName  = '@veiss-com/sw-tools';
+var packagePath  = path.join(__dirname, '..');
+var libraryPath  = path.join(__dirname, 'sw');
+var defaultEntry = path.join(__dirname, 'sw.js');
+
+// Supported import and export statements.
+var importPattern     = /^import\s*\{([^}]*)\}\s*from\s*['"]([^'"]+)['"];?[ \t]*\n?/gm;
+var sideEffectPattern = /^import\s*['"]([^'"]+)['"];?[ \t]*\n?/gm;
+var reexportPattern   = /^export\s*\{([^}]*)\}\s*from\s*['"]([^'"]+)['"];?[ \t]*\n?/gm;
+var exportPattern     = /^export\s+(?=(?:async\s+)?(?:function|var|let|const|class)\b)/gm;
+var declarePattern    = /^(?:export\s+)?(?:async\s+)?(?:function\*?|var|let|const|class)\s+([\w$]+)/gm;
+
+/**
+ * Build a Service Worker.
+ *
+ * @param {object} options
+ *   - entry. Service Worker entry module. Defaults to the default Service
+ *     Worker (src/sw.js).
+ *   - config. Configuration merged into the defaults, with the same options
+ *     as swTools.setConfig(). The configuration sent by the pages has
+ *     priority.
+ *   - precacheManifest. List of { url, revision } elements to precache.
+ *   - version. Cache version, replacing globalConfig.version. The caches of
+ *     other versions are deleted when the Service Worker is activated.
+ *   - minify. Minify the Service Worker with Babel, which must be installed.
+ *   - output. File where the Service Worker is saved.
+ *
+ * @return {string} The Service Worker script.
+ */
+function buildServiceWorker(options) {
+    var modules;
+    var library;
+    var others;
+    var code;
+
+    options = options || {};
+    modules = sortModules(path.resolve(options.entry || defaultEntry));
+    library = modules.filter(mod => mod.library);
+    others  = modules.filter(mod => !mod.library);
+
+    checkDeclarations(library);
+
+    code = ["'use strict';"]
+    .concat(library.map(mod => moduleSource(mod)))
+    .concat(prologue(options))
+    .concat(others.map(mod => moduleSource(mod, modules)))
+    .filter(source => source)
+    .join('\n\n') + '\n';
+
+    if (options.minify) {
+        code = minify(code);
+    }
+
+    if (options.output) {
+        fs.mkdirSync(path.dirname(options.output), { recursive: true });
+        fs.writeFileSync(options.output, code);
+    }
+
+    return code;
+}
+
+/**
+ * Run the Service Worker modules in Node, so the build tools share their
+ * functions instead of copying them. The modules run in a minimal scope,
+ * without caches, database or events, so only their functions without side
+ * effects can be used.
+ *
+ * @param {object} options
+ *   - config and precacheManifest. See buildServiceWorker().
+ *   - location. URL of the Service Worker. Defaults to
+ *     https://example.com/sw.min.js.
+ *
+ * @return {object} The top-level functions and variables of the modules.
+ */
+function loadServiceWorker(options) {
+    var code;
+    var names;
+
+    options = options || {};
+    code    = buildServiceWorker({
+        entry           : path.join(libraryPath, 'index.js'),
+        config          : options.config,
+        precacheManifest: options.precacheManifest
+    });
+    names   = matchAll(code, declarePattern).map(match => match[1]);
+
+    return Function('self', code + '\nreturn {\n' + names.map(name => name + ': ' + name).join(',\n') + '\n};')({
+        location        : new URL(options.location || 'https://example.com/sw.min.js'),
+        addEventListener: () => {}
+    });
+}
+
+/**
+ * Read a module and its imports.
+ *
+ * @param {string} file
+ *
+ * @return {object}
+ */
+function readModule(file) {
+    var source = fs.readFileSync(file, 'utf8');
+    var mod    = {
+        file   : file,
+        source : source,
+        library: isLibrary(file),
+        imports: []
+    };
+
+    [importPattern, reexportPattern].forEach(pattern => {
+        matchAll(source, pattern).forEach(match => {
+            mod.imports.push({
+                names   : parseNames(match[1], file),
+                file    : resolveModule(match[2], file),
+                reexport: pattern === reexportPattern
+            });
+        });
+    });
+
+    matchAll(source, sideEffectPattern).forEach(match => {
+        mod.imports.push({ names: [], file: resolveModule(match[1], file) });
+    });
+
+    return mod;
+}
+
+/**
+ * Get the modules imported by an entry, dependencies first.
+ * Circular imports are only allowed between Service Worker modules, whose
+ * functions are hoisted in the shared scope.
+ *
+ * @param {string} entry
+ *
+ * @return {Array}
+ */
+function sortModules(entry) {
+    var modules = {};
+    var sorted  = [];
+
+    function visit(file) {
+        var mod = modules[file];
+
+        if (mod) {
+            if (!mod.done && !mod.library) {
+                throw Error('Circular import of ' + file);
+            }
+
+            return;
+        }
+
+        mod = modules[file] = readModule(file);
+        mod.imports.forEach(item => visit(item.file));
+        mod.done = true;
+        sorted.push(mod);
+    }
+
+    visit(entry);
+
+    return sorted;
+}
+
+/**
+ * Check that the top-level names of the Service Worker modules are unique,
+ * because they share the same scope, and that they are imported without
+ * aliases.
+ *
+ * @param {Array} modules
+ */
+function checkDeclarations(modules) {
+    var declared = {};
+
+    modules.forEach(mod => {
+        matchAll(mod.source, declarePattern).forEach(match => {
+            var name = match[1];
+
+            if (declared[name]) {
+                throw Error(name + ' is declared in ' + declared[name] + ' and ' + mod.file);
+            }
+
+            declared[name] = mod.file;
+        });
+
+        mod.imports.forEach(item => {
+            item.names.forEach(name => {
+                if (name.local !== name.imported) {
+                    throw Error('Aliased import of ' + name.imported + ' in ' + mod.file);
+                }
+            });
+        });
+    });
+}
+
+/**
+ * Get the source of a module without its import and export statements.
+ * Modules other than the Service Worker modules are wrapped in a function,
+ * which returns their exports.
+ *
+ * @param {object} mod
+ * @param {Array} modules All the modules, when the module is wrapped.
+ *
+ * @return {string}
+ */
+function moduleSource(mod, modules) {
+    var source   = mod.source;
+    var header   = '// ' + path.relative(packagePath, mod.file).split(path.sep).join('/');
+    var bindings = [];
+    var exported;
+
+    source = source
+    .replace(importPattern, '')
+    .replace(sideEffectPattern, '')
+    .replace(reexportPattern, '');
+
+    exported = matchAll(source, declarePattern)
+    .filter(match => /^export\b/.test(match[0]))
+    .map(match => match[1]);
+    source   = source.replace(exportPattern, '');
+
+    checkUnsupported(source, mod.file);
+    source = source.replace(/\n{3,}/g, '\n\n').trim();
+
+    if (mod.library) {
+        return source ? header + '\n' + source : '';
+    }
+
+    mod.imports.forEach(item => {
+        var imported = modules.find(other => other.file === item.file);
+
+        item.names.forEach(name => {
+            var value = imported.library ? name.imported : moduleName(imported) + '.' + name.imported;
+
+            if (item.reexport) {
+                exported.push({ name: name.local, value: value });
+            } else if (value !== name.local) {
+                bindings.push('var ' + name.local + ' = ' + value + ';');
+            }
+        });
+    });
+
+    source = bindings.concat(source ? [source] : []).join('\n\n');
+    exported = exported.map(item => {
+        return 'string' === typeof item ? item + ': ' + item : item.name + ': ' + item.value;
+    });
+
+    // The module source is not indented, so its multi-line strings keep
+    // their content.
+    return header + '\nvar ' + moduleName(mod) + ' = (function() {\n' +
+        source + '\n\nreturn {' + (exported.length ? '\n' + indent(exported.join(',\n')) + '\n' : '') + '};' +
+        '\n})();';
+}
+
+/**
+ * Get the statements that set the inlined version, configuration and
+ * precache manifest. They run after the Service Worker modules and before the entry.
+ *
+ * @param {object} options
+ *
+ * @return {Array}
+ */
+function prologue(options) {
+    var statements = [];
+
+    if (options.version) {
+        statements.push('globalConfig.version = ' + toSource(options.version) + ';');
+    }
+
+    if (options.precacheManifest) {
+        statements.push('setPrecacheManifest(' + toSource(options.precacheManifest) + ');');
+    }
+
+    if (options.config) {
+        statements.push('configure(' + toSource(options.config) + ');');
+    }
+
+    return statements.length ? ['// Build configuration.\n' + statements.join('\n')] : [];
+}
+
+/**
+ * Throw an error if a module still has import or export statements, which
+ * are not supported by the build.
+ *
+ * @param {string} source
+ * @param {string} file
+ */
+function checkUnsupported(source, file) {
+    var match = /^(?:import|export)\b.*$/m.exec(source);
+
+    if (match) {
+        throw Error('Unsupported statement in ' + file + ': ' + match[0]);
+    }
+}
+
+/**
+ * Parse the names of an import or export statement.
+ *
+ * @param {string} list
+ * @param {string} file
+ *
+ * @return {Array} Elements with imported and local names.
+ */
+function parseNames(list, file) {
+    return list.split(',')
+    .map(name => name.trim())
+    .filter(name => name)
+    .map(name => {
+        var parts = name.split(/\s+as\s+/);
+
+        if (parts.length > 2 || !parts.every(part => /^[\w$]+$/.test(part))) {
+            throw Error('Unsupported import of ' + name + ' in ' + file);
+        }
+
+        return { imported: parts[0], local: parts[1] || parts[0] };
+    });
+}
+
+/**
+ * Get the file of an imported module. Relative paths and paths inside the
+ * package (@veiss-com/sw-tools/...) are supported. The package itself
+ * resolves to the Service Worker modules.
+ *
+ * @param {string} specifier
+ * @param {string} from Importing file.
+ *
+ * @return {string}
+ */
+function resolveModule(specifier, from) {
+    var file;
+
+    if (packageName === specifier) {
+        file = path.join(libraryPath, 'index.js');
+    } else if (0 === specifier.indexOf(packageName + '/')) {
+        file = path.join(packagePath, specifier.slice(packageName.length + 1));
+    } else if (/^\.\.?\//.test(specifier)) {
+        file = path.resolve(path.dirname(from), specifier);
+    } else {
+        throw Error('Unsupported import of ' + specifier + ' in ' + from);
+    }
+
+    if (!fs.existsSync(file) && fs.existsSync(file + '.js')) {
+        file += '.js';
+    }
+
+    if (!fs.existsSync(file)) {
+        throw Error('Module ' + specifier + ' not found from ' + from);
+    }
+
+    return file;
+}
+
+/**
+ * Check if a file is one of the Service Worker modules.
+ *
+ * @param {string} file
+ *
+ * @return {boolean}
+ */
+function isLibrary(file) {
+    var relative = path.relative(libraryPath, file);
+
+    return !!relative && !/^\.\./.test(relative) && !path.isAbsolute(relative);
+}
+
+/**
+ * Get the variable of a wrapped module in the bundle.
+ *
+ * @param {object} mod
+ *
+ * @return {string}
+ */
+function moduleName(mod) {
+    return '__module_' + path.relative(packagePath, mod.file).replace(/\W/g, '_');
+}
+
+/**
+ * Convert a value to source code. Regular expressions are kept.
+ *
+ * @param {*} value
+ *
+ * @return {string}
+ */
+function toSource(value) {
+    if (value instanceof RegExp) {
+        return value.toString();
+    }
+
+    if (Array.isArray(value)) {
+        return '[' + value.map(item => toSource(item)).join(', ') + ']';
+    }
+
+    if ('function' === typeof value) {
+        throw Error('Functions can not be inlined in the Service Worker');
+    }
+
+    if (value && 'object' === typeof value) {
+        return '{' + Object.keys(value).map(key => JSON.stringify(key) + ': ' + toSource(value[key])).join(', ') + '}';
+    }
+
+    return undefined === value ? 'undefined' : JSON.stringify(value);
+}
+
+/**
+ * Minify a Service Worker with the Babel configuration of the package.
+ * Babel is an optional peer dependency, only loaded to minify. The presets
+ * are resolved from the package, so the build works from any folder. The
+ * top-level names are kept. The builtIns plugin is disabled: it fails on the
+ * second build of the same process.
+ *
+ * @param {string} code
+ *
+ * @return {string}
+ */
+function minify(code) {
+    var babel;
+    var presets;
+
+    try {
+        babel   = require('@babel/core');
+        presets = [
+            require.resolve('@babel/preset-env'),
+            [require.resolve('babel-preset-minify'), { builtIns: false }]
+        ];
+    } catch (error) {
+        throw Error('Minifying the Service Worker requires @babel/core, @babel/preset-env and babel-preset-minify: ' + error.message);
+    }
+
+    return babel.transformSync(code, {
+        babelrc   : false,
+        configFile: false,
+        sourceType: 'script',
+        comments  : false,
+        presets   : presets
+    }).code;
+}
+
+/**
+ * Indent a block of code.
+ *
+ * @param {string} code
+ *
+ * @return {string}
+ */
+function indent(code) {
+    return code.replace(/^(?=.)/gm, '    ');
+}
+
+/**
+ * Get all the matches of a global regular expression.
+ *
+ * @param {string} string
+ * @param {RegExp} pattern
+ *
+ * @return {Array}
+ */
+function matchAll(string, pattern) {
+    var matches = [];
+    var match;
+
+    pattern.lastIndex = 0;
+    while ((match = pattern.exec(string))) {
+        matches.push(match);
+    }
+
+    return matches;
+}
+
+module.exports = {
+    buildServiceWorker: buildServiceWorker,
+    loadServiceWorker : loadServiceWorker
+};
+
+if (require.main === module) {
+    var args = process.argv.slice(2);
+
+    buildServiceWorker({
+        output: args.find(arg => !/^--/.test(arg)) || 'lib/sw.min.js',
+        minify: args.includes('--minify')
+    });
+}
@@ -0,0 +1,337 @@
+#!/usr/bin/env node
+
+/**
+ * Copyright (c) Veiss Comunicación.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * Service Worker command line tool.
+ *   - build. Generates the precache manifest of the built assets and the
+ *     Service Worker, with its configuration, manifest and cache version
+ *     inlined.
+ *   - inspect. Prints the URLs handled by each strategy rule.
+ *
+ * @summary Veiss Comunicación Service Worker command line tool.
+ * @author Veiss Comunicación
+ * @license MIT
+ */
+
+'use strict';
+
+var fs                 = require('fs');
+var path               = require('path');
+var buildServiceWorker = require('./build').buildServiceWorker;
+var loadServiceWorker  = require('./build').loadServiceWorker;
+var getManifest        = require('./manifest').getManifest;
+var getVersion         = require('./manifest').getVersion;
+
+var defaultConfigFile = 'sw-tools.config.js';
+
+// Request destination of the assets, guessed from their extension. Pages
+// are navigations and the rest of files fetch() requests.
+var extensionDestinations = {
+    image   : ['avif', 'gif', 'ico', 'jpeg', 'jpg', 'png', 'svg', 'webp'],
+    font    : ['eot', 'otf', 'ttf', 'woff', 'woff2'],
+    script  : ['js', 'mjs'],
+    style   : ['css'],
+    audio   : ['mp3', 'ogg', 'wav'],
+    video   : ['mp4', 'webm'],
+    track   : ['vtt'],
+    manifest: ['webmanifest']
+};
+
+var usage = [
+    'Usage: sw-tools <command> [options]',
+    '',
+    'Commands:',
+    '  build              Generate the precache manifest and the Service Worker.',
+    '  inspect [url...]   Print the URLs handled by each strategy rule.',
+    '',
+    'Options:',
+    '  --dist <folder>    Folder with the built assets.',
+    '  --config <file>    Configuration file. Defaults to ' + defaultConfigFile + '.',
+    '  --minify           Minify the Service Worker. Requires Babel.'
+].join('\n');
+
+/**
+ * Run a command.
+ *
+ * @param {Array} args Command line arguments.
+ *
+ * @return {string} The command output.
+ */
+function run(args) {
+    var parsed = parseArgs(args);
+    var options;
+
+    if (!['build', 'inspect'].includes(parsed.command)) {
+        throw Error(usage);
+    }
+
+    options = loadOptions(parsed);
+
+    if ('build' === parsed.command) {
+        return formatBuild(build(options));
+    }
+
+    return formatInspect(inspect(options, parsed.urls));
+}
+
+/**
+ * Parse the command line arguments.
+ *
+ * @param {Array} args
+ *
+ * @return {object} The command, options and URLs.
+ */
+function parseArgs(args) {
+    var parsed = { command: args[0], urls: [] };
+
+    for (var index = 1; index < args.length; index++) {
+        var arg = args[index];
+
+        if (['--dist', '--config'].includes(arg)) {
+            if (index + 1 >= args.length) {
+                throw Error('Missing value of ' + arg);
+            }
+
+            parsed[arg.slice(2)] = args[++index];
+        } else if ('--minify' === arg) {
+            parsed.minify = true;
+        } else if (0 === arg.indexOf('--')) {
+            throw Error('Unknown option: ' + arg + '\n\n' + usage);
+        } else {
+            parsed.urls.push(arg);
+        }
+    }
+
+    return parsed;
+}
+
+/**
+ * Read the configuration file. Its options are:
+ *   - dist. Folder with the built assets. Overridden by --dist.
+ *   - globPatterns, globIgnores and urlPrefix. Assets to precache, relative
+ *     to dist. See getManifest().
+ *   - entry. Service Worker entry module. See buildServiceWorker().
+ *   - output. Service Worker file. Defaults to dist/sw.min.js.
+ *   - manifest. Precache manifest file, or false to skip it. Defaults to
+ *     dist/precache-manifest.json.
+ *   - minify. Minify the Service Worker with Babel, which must be installed.
+ *     Overridden by --minify. Defaults to false.
+ *   - origin. Origin of the website, to inspect the routes of other domains.
+ *   - config. Service Worker configuration.
+ *
+ * @param {object} parsed Parsed arguments.
+ *
+ * @return {object}
+ */
+function loadOptions(parsed) {
+    var file    = path.resolve(parsed.config || defaultConfigFile);
+    var options = {};
+
+    if (fs.existsSync(file)) {
+        options = Object.assign({}, require(file));
+    } else if (parsed.config) {
+        throw Error('Configuration file not found: ' + parsed.config);
+    }
+
+    options.dist = parsed.dist || options.dist;
+    if (!options.dist) {
+        throw Error('The dist folder is required\n\n' + usage);
+    }
+
+    options.dist     = path.resolve(options.dist);
+    options.output   = path.resolve(options.dist, options.output || 'sw.min.js');
+    options.manifest = false === options.manifest ? false : path.resolve(options.dist, options.manifest || 'precache-manifest.json');
+    options.config   = options.config || {};
+    options.minify   = parsed.minify || true === options.minify;
+
+    // The generated files and the configuration file are not precached.
+    options.globIgnores = (options.globIgnores || []).concat(
+        [options.output, options.manifest, fs.existsSync(file) && file]
+        .filter(output => output)
+        .map(output => path.relative(options.dist, output).split(path.sep).join('/'))
+        .filter(output => !/^\.\.\//.test(output))
+    );
+
+    return options;
+}
+
+/**
+ * Generate the precache manifest and the Service Worker.
+ *
+ * @param {object} options See loadOptions().
+ *
+ * @return {object} The manifest, version and generated files.
+ */
+function build(options) {
+    var manifest = getManifest(options);
+    var version  = getVersion(manifest, JSON.stringify(options.config, (key, value) => {
+        return value instanceof RegExp ? value.toString() : value;
+    }));
+
+    if (options.manifest) {
+        fs.writeFileSync(options.manifest, JSON.stringify(manifest, null, 2) + '\n');
+    }
+
+    buildServiceWorker({
+        entry           : options.entry,
+        config          : options.config,
+        precacheManifest: manifest,
+        version         : version,
+        minify          : options.minify,
+        output          : options.output
+    });
+
+    return {
+        manifest: manifest,
+        version : version,
+        files   : [options.output, options.manifest].filter(file => file)
+    };
+}
+
+/**
+ * Find the strategy rule that handles each URL, in the order the Service
+ * Worker applies them:
+ *   - not handled. Requests excluded by noCachePatterns and noCacheItems, and
+ *     requests to other domains without route.
+ *   - precache. The elements of the precache manifest, unless the cache is
+ *     disabled.
+ *   - routes. The first matching route.
+ *   - default. The strategy of the resource type.
+ * The rules are applied by the router of the Service Worker. See
+ * loadServiceWorker().
+ *
+ * @param {object} options See loadOptions().
+ * @param {Array} urls URLs to inspect. Defaults to the assets of dist.
+ *
+ * @return {Array} Rules with name and urls.
+ */
+function inspect(options, urls) {
+    var origin    = options.origin || 'https://example.com';
+    var precached = getManifest(options).map(entry => new URL(entry.url, origin).href);
+    var worker    = loadServiceWorker({
+        config          : options.config,
+        precacheManifest: precached,
+        location        : new URL(workerPath(options), origin).href
+    });
+    var routes    = worker.config.cache.routes || [];
+    var rules     = [{ name: 'not handled', urls: [] }, { name: 'precache', urls: [] }]
+    .concat(routes.map(route => ({ name: route.strategy + ' ' + route.match, route: route, urls: [] })));
+
+    function addUrl(name, url) {
+        var rule = rules.find(item => item.name === name);
+
+        if (!rule) {
+            rule = { name: name, urls: [] };
+            rules.push(rule);
+        }
+
+        rule.urls.push(url);
+    }
+
+    if (!urls || !urls.length) {
+        urls = precached;
+    }
+
+    urls.forEach(href => {
+        var request = inspectRequest(new URL(href, origin));
+        var route;
+        var type;
+
+        if (!worker.shouldHandleFetch(request)) {
+            addUrl('not handled', request.url);
+        } else if (worker.config.cache.enabled && worker.isPrecached(request)) {
+            addUrl('precache', request.url);
+        } else if ((route = worker.findRoute(request))) {
+            rules.find(rule => rule.route === route).urls.push(request.url);
+        } else {
+            type = worker.getResourceType(request);
+            addUrl('default ' + (worker.config.cache.strategies[type] || 'cache-first') + ' (' + type + ')', request.url);
+        }
+    });
+
+    return rules
+    .filter(rule => rule.route || rule.urls.length)
+    .map(rule => ({ name: rule.name, urls: rule.urls }));
+}
+
+/**
+ * Get the path of the Service Worker on the website: its path in dist, or
+ * its file name when it is saved elsewhere.
+ *
+ * @param {object} options See loadOptions().
+ *
+ * @return {string}
+ */
+function workerPath(options) {
+    var file = path.relative(options.dist, options.output).split(path.sep).join('/');
+
+    return '/' + (/^\.\.\//.test(file) ? path.basename(options.output) : file);
+}
+
+/**
+ * Create the request the browser would send for a URL, with the destination
+ * guessed from its extension.
+ *
+ * @param {URL} url
+ *
+ * @return {object}
+ */
+function inspectRequest(url) {
+    var extension   = ((/\.(\w+)$/.exec(url.pathname) || [])[1] || '').toLowerCase();
+    var destination = Object.keys(extensionDestinations).find(key => extensionDestinations[key].includes(extension));
+    var navigate    = !destination && (!extension || ['html', 'htm'].includes(extension));
+
+    return {
+        url        : url.href,
+        method     : 'GET',
+        mode       : navigate ? 'navigate' : 'cors',
+        destination: navigate ? 'document' : destination || '',
+        headers    : new Headers()
+    };
+}
+
+/**
+ * Format the result of the build command.
+ *
+ * @param {object} result
+ *
+ * @return {string}
+ */
+function formatBuild(result) {
+    return [
+        'Version: ' + result.version,
+        'Precached: ' + result.manifest.length + ' files'
+    ].concat(result.files.map(file => 'Written: ' + path.relative(process.cwd(), file))).join('\n');
+}
+
+/**
+ * Format the result of the inspect command.
+ *
+ * @param {Array} rules
+ *
+ * @return {string}
+ */
+function formatInspect(rules) {
+    return rules.map(rule => {
+        return [rule.name].concat(rule.urls.length ? rule.urls.map(url => '  ' + url) : ['  (no URLs)']).join('\n');
+    }).join('\n\n');
+}
+
+module.exports = {
+    build  : build,
+    inspect: inspect,
+    run    : run
+};
+
+if (require.main === module) {
+    try {
+        console.log(run(process.argv.slice(2)));
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
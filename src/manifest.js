@@ -0,0 +1,146 @@
+/**
+ * Copyright (c) Veiss Comunicación.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * Precache manifest generation. Finds the built assets of a website and
+ * computes their content hashes, used as precache revisions and as the
+ * cache version of the Service Worker.
+ *
+ * @summary Veiss Comunicación precache manifest.
+ * @author Veiss Comunicación
+ * @license MIT
+ */
+
+'use strict';
+
+var crypto            = require('crypto');
+var fs                = require('fs');
+var path              = require('path');
+var loadServiceWorker = require('./build').loadServiceWorker;
+
+// Assets precached by default.
+var defaultPatterns = ['**/*.{html,css,js,json,svg,png,jpg,jpeg,gif,webp,avif,ico,woff,woff2}'];
+
+// Service Worker modules, loaded on first use.
+var serviceWorker = null;
+
+/**
+ * Get the precache manifest of the assets of a folder.
+ *
+ * @param {object} options
+ *   - dist. Folder with the built assets.
+ *   - globPatterns. Globs of the assets to precache, relative to dist.
+ *   - globIgnores. Globs of the assets to ignore.
+ *   - urlPrefix. Prefix of the asset URLs. Defaults to /.
+ *
+ * @return {Array} Elements with url and revision, sorted by URL.
+ */
+function getManifest(options) {
+    var dist      = options.dist;
+    var urlPrefix = options.urlPrefix || '/';
+
+    return findAssets(dist, options.globPatterns || defaultPatterns, options.globIgnores || [])
+    .map(file => {
+        return {
+            url     : urlPrefix + file,
+            revision: hashFile(path.join(dist, file))
+        };
+    });
+}
+
+/**
+ * Get the cache version of a manifest and a Service Worker configuration.
+ * The version changes when any asset or the configuration changes.
+ *
+ * @param {Array} manifest
+ * @param {string} source Other content the version depends on.
+ *
+ * @return {string}
+ */
+function getVersion(manifest, source) {
+    var hash = crypto.createHash('md5');
+
+    manifest.forEach(entry => hash.update(entry.url + ' ' + entry.revision + '\n'));
+    hash.update(source || '');
+
+    return 'v' + hash.digest('hex').slice(0, 10);
+}
+
+/**
+ * Find the files of a folder matching a list of globs.
+ *
+ * @param {string} dist
+ * @param {Array} patterns
+ * @param {Array} ignores
+ *
+ * @return {Array} Paths relative to dist, with / as separator.
+ */
+function findAssets(dist, patterns, ignores) {
+    var included = globsToRegExps(patterns);
+    var ignored  = globsToRegExps(ignores);
+
+    if (!fs.existsSync(dist) || !fs.statSync(dist).isDirectory()) {
+        throw Error(dist + ' is not a folder');
+    }
+
+    return listFiles(dist)
+    .filter(file => included.some(pattern => pattern.test(file)))
+    .filter(file => !ignored.some(pattern => pattern.test(file)))
+    .sort();
+}
+
+/**
+ * List the files of a folder and its subfolders.
+ *
+ * @param {string} folder
+ * @param {string} prefix Path of the folder in the results.
+ *
+ * @return {Array}
+ */
+function listFiles(folder, prefix) {
+    prefix = prefix || '';
+
+    return fs.readdirSync(folder, { withFileTypes: true })
+    .reduce((files, item) => {
+        var file = prefix + item.name;
+
+        if (item.isDirectory()) {
+            return files.concat(listFiles(path.join(folder, item.name), file + '/'));
+        }
+
+        return item.isFile() ? files.concat(file) : files;
+    }, []);
+}
+
+/**
+ * Get the content hash of a file.
+ *
+ * @param {string} file
+ *
+ * @return {string}
+ */
+function hashFile(file) {
+    return crypto.createHash('md5').update(fs.readFileSync(file)).digest('hex');
+}
+
+/**
+ * Convert a list of globs into regular expressions, with the glob syntax of
+ * the Service Worker routes. See globToRegExp() in src/sw/router.js.
+ *
+ * @param {Array} globs
+ *
+ * @return {Array}
+ */
+function globsToRegExps(globs) {
+    serviceWorker = serviceWorker || loadServiceWorker();
+
+    return globs.map(glob => serviceWorker.globToRegExp(glob));
+}
+
+module.exports = {
+    findAssets : findAssets,
+    getManifest: getManifest,
+    getVersion : getVersion
+};
@@ -0,0 +1,211 @@
+/**
+ * Cache storage. Saves, reads, lists and deletes the cached elements.
+ */
+
+import { cacheType, config, globalConfig } from './config.js';
+import { checkExpiration, deleteCacheEntries, deleteFromCache, getCacheEntries, getExpiration, putCacheEntry, trimCache } from './expiration.js';
+import { matchesPattern, requestUrl } from './router.js';
+
+/**
+ * Add a response to cache.
+ * When the cache has limits, its size and timestamps are saved to IndexedDB
+ * and the cache is trimmed in the background.
+ *
+ * @param {string} cacheKey
+ * @param {object} request
+ * @param {object} response
+ *
+ * @return {object}
+ */
+export function addToCache(cacheKey, request, response) {
+    if (response.ok && config.cache.enabled) {
+        var copy       = response.clone();
+        var expiration = getExpiration(cacheKey);
+        var size       = expiration ? response.clone().blob().then(blob => blob.size) : 0;
+
+        caches.open(cacheKey)
+        .then(cache => cache.put(request, copy))
+        .then(() => {
+            if (!expiration) {
+                return;
+            }
+
+            return Promise.resolve(size)
+            .then(size => {
+                var now = Date.now();
+
+                return putCacheEntry({
+                    cache    : cacheKey,
+                    url      : requestUrl(request),
+                    timestamp: now,
+                    accessed : now,
+                    size     : size
+                });
+            })
+            .then(() => trimCache(cacheKey));
+        })
+        .catch(error => console.error('Cache error:', error));
+    }
+
+    return response;
+}
+
+/**
+ * Delete a cache type, or all of them, and its expiration data.
+ * The precache is not deleted.
+ *
+ * @param {string} type
+ *
+ * @return {Promise} Resolves with the deleted cache names.
+ */
+export function clearCache(type) {
+    return findCaches(type, false)
+    .then(cacheKeys => Promise.all(cacheKeys.map(cacheKey => {
+        return caches.delete(cacheKey)
+        .then(() => deleteCacheEntries(cacheKey))
+        .catch(() => {})
+        .then(() => cacheKey);
+    })))
+    .then(cacheKeys => ({ deleted: cacheKeys }));
+}
+
+/**
+ * Get from cache.
+ *
+ * @param {object} request
+ * @param {string} cacheKey
+ *
+ * @return {Promise}
+ */
+export function fetchFromCache(request, cacheKey) {
+    return caches.match(request, { cacheName: cacheKey })
+    .then(response => {
+        if (!response) {
+            throw Error(request.url + ' not found in cache');
+        }
+
+        return checkExpiration(cacheKey, request)
+        .then(isFresh => {
+            if (!isFresh) {
+                throw Error(request.url + ' expired in cache');
+            }
+
+            return response;
+        });
+    });
+}
+
+/**
+ * Get the names of the caches of the current version.
+ *
+ * @param {string} type Cache type. All when empty.
+ * @param {boolean} includePrecache
+ *
+ * @return {Promise}
+ */
+function findCaches(type, includePrecache) {
+    return caches.keys()
+    .then(cacheKeys => cacheKeys.filter(cacheKey => {
+        var isCurrent = 0 === cacheKey.indexOf(globalConfig.version)
+            || (includePrecache && cacheKey === globalConfig.precache.cache);
+
+        return isCurrent && (!type || type === cacheType(cacheKey));
+    }));
+}
+
+/**
+ * Get the number of elements and the estimated size of every cache, and the
+ * storage usage and quota of the origin.
+ * The size of the elements without expiration data is taken from their
+ * Content-Length header.
+ *
+ * @return {Promise}
+ */
+export function getCacheStats() {
+    var storage = (self.navigator.storage && self.navigator.storage.estimate)
+        ? self.navigator.storage.estimate().catch(() => null)
+        : Promise.resolve(null);
+
+    return findCaches(null, true)
+    .then(cacheKeys => Promise.all(cacheKeys.map(cacheKey => {
+        return caches.open(cacheKey)
+        .then(cache => {
+            return Promise.all([cache.keys(), getCacheEntries(cacheKey)])
+            .then(results => Promise.all(results[0].map(key => {
+                var entry = results[1][key.url];
+
+                if (entry) {
+                    return entry.size;
+                }
+
+                return cache.match(key)
+                .then(response => parseInt(response.headers.get('content-length'), 10) || 0);
+            })));
+        })
+        .then(sizes => ({
+            name : cacheKey,
+            type : cacheType(cacheKey),
+            count: sizes.length,
+            bytes: sizes.reduce((total, size) => total + size, 0)
+        }));
+    })))
+    .then(stats => {
+        return storage
+        .then(estimate => ({
+            caches : stats,
+            storage: estimate && { usage: estimate.usage, quota: estimate.quota }
+        }));
+    });
+}
+
+/**
+ * Get the elements of a cache type, or all of them, with their expiration
+ * data when available.
+ *
+ * @param {string} type
+ *
+ * @return {Promise}
+ */
+export function listCached(type) {
+    return findCaches(type, true)
+    .then(cacheKeys => Promise.all(cacheKeys.map(cacheKey => {
+        return caches.open(cacheKey)
+        .then(cache => Promise.all([cache.keys(), getCacheEntries(cacheKey)]))
+        .then(results => results[0].map(key => {
+            var entry = results[1][key.url] || {};
+
+            return {
+                url      : key.url,
+                type     : cacheType(cacheKey),
+                timestamp: entry.timestamp || null,
+                accessed : entry.accessed || null,
+                size     : entry.size || null
+            };
+        }));
+    })))
+    .then(lists => [].concat.apply([], lists));
+}
+
+/**
+ * Delete the elements matching a URL, glob or regular expression from every
+ * cache but the precache.
+ *
+ * @param {string|RegExp} pattern
+ *
+ * @return {Promise} Resolves with the deleted URLs.
+ */
+export function purge(pattern) {
+    return findCaches(null, false)
+    .then(cacheKeys => Promise.all(cacheKeys.map(cacheKey => {
+        return caches.open(cacheKey)
+        .then(cache => {
+            return cache.keys()
+            .then(keys => keys.filter(key => matchesPattern(pattern, new URL(key.url))))
+            .then(keys => Promise.all(keys.map(key => {
+                return deleteFromCache(cache, cacheKey, key.url)
+                .then(() => key.url);
+            })));
+        });
+    })))
+    .then(lists => ({ deleted: [].concat.apply([], lists) }));
+}
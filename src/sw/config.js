@@ -0,0 +1,460 @@
+/**
+ * Service Worker configuration: the global state, the editable configuration
+ * and its schema, and the helpers to validate and merge configurations.
+ */
+
+// Global Service Worker configuration.
+export var globalConfig = {
+    version: 'v1.1.0',
+    expiration: {
+        name: 'cache-expiration',
+        store: 'entries',
+        version: 1
+    },
+    precache: {
+        cache: 'sw-cache::precache',
+        // List of { url, revision } entries defined before importing the
+        // Service Worker script.
+        manifest: self.__precacheManifest || []
+    },
+    queue: {
+        name: 'offline-queue',
+        store: 'requests',
+        version: 1,
+        syncTag: 'sw-tools-queue'
+    },
+    navigation: {
+        name: 'navigation-history',
+        store: 'transitions',
+        version: 1
+    },
+    prefetch: {
+        // Prefetches waiting for a free download, high priority first.
+        queue: [],
+        // Number of prefetches being downloaded.
+        active: 0,
+        // Queued or downloading prefetches, by URL.
+        inFlight: {},
+        // Requests and bytes prefetched by each page session.
+        sessions: {}
+    },
+    // Connection sent by the pages, the same for all of them. See
+    // getNetworkProfile() and setNetworkProfile().
+    network: {
+        profile: null
+    },
+    settings: {
+        name: 'sw-config',
+        store: 'config',
+        version: 1,
+        restored: false,
+        // Consent categories (analytics, media, ...) granted or denied by
+        // the user.
+        consent: {}
+    }
+};
+
+// Editable configuration.
+export var config = {
+    cache: {
+        enabled: true,
+        // Default strategy of each resource type. Cache-first for the rest.
+        strategies: {
+            content: 'network-first',
+            api: 'network-first',
+            media: 'network-only'
+        }
+    },
+    prefetch: {
+        enabled: true,
+        mode: 'hover',
+        predictions: 3,
+        concurrency: 2,
+        maxRequests: 30,
+        maxBytes: 5 * 1024 * 1024
+    },
+    defer: {
+        images: {
+            color: '#D8D8D8'
+        },
+        youtube: {
+            enabled: true,
+            noCookie: false
+        }
+    },
+    consent: {
+        required: false
+    },
+    network: {
+        // Connections are constrained in save-data mode or when they exceed
+        // one of these thresholds.
+        slowEffectiveTypes: ['slow-2g', '2g'],
+        maxRtt: 1000,
+        minDownlink: 0,
+        minDeviceMemory: 1,
+        // Policies applied to constrained connections.
+        constrained: {
+            prefetch: false,
+            srcset: false,
+            cacheFirst: true,
+            imageVariants: []
+        }
+    },
+    analytics: {
+        enabled: true,
+        maxTime: 24 * 60 * 60 * 1000,
+        providers: ['google-analytics', 'ga4']
+    },
+    queue: {
+        maxRetries: 5,
+        maxTime: 24 * 60 * 60 * 1000
+    },
+    navigationPreload: {
+        enabled: false
+    },
+    appShell: {
+        enabled: false,
+        // URL of the content partial of each navigation.
+        partialUrl: '/partials{pathname}{search}'
+    },
+    push: {}
+};
+
+// Supported configuration options and their types. Arrays define the type of
+// their items and '*' matches any option name.
+export var configSchema = {
+    cache: {
+        enabled: 'boolean',
+        maxItems: 'number',
+        noCacheItems: ['string'],
+        noCachePatterns: ['regexp'],
+        strategies: {
+            '*': 'string'
+        },
+        routes: [{
+            match: 'string|regexp',
+            strategy: 'string',
+            cacheName: 'string',
+            options: {
+                networkTimeoutSeconds: 'number'
+            }
+        }],
+        expiration: {
+            '*': {
+                maxAgeSeconds: 'number',
+                maxBytes: 'number',
+                maxItems: 'number'
+            }
+        }
+    },
+    prefetch: {
+        enabled: 'boolean',
+        items: ['string'],
+        mode: 'string',
+        viewportDelay: 'number',
+        predictions: 'number',
+        concurrency: 'number',
+        maxRequests: 'number',
+        maxBytes: 'number',
+        hoverDelay: 'number'
+    },
+    saveDataItems: ['string'],
+    offline: {
+        page: 'string',
+        image: 'string',
+        fallbacks: [{
+            match: 'string|regexp',
+            destination: 'string',
+            url: 'string',
+            body: 'string',
+            contentType: 'string',
+            json: 'object',
+            status: 'number'
+        }]
+    },
+    defer: {
+        images: {
+            color: 'string'
+        },
+        youtube: {
+            enabled: 'boolean',
+            noCookie: 'boolean'
+        },
+        rootMargin: 'string',
+        loadedClass: 'string'
+    },
+    consent: {
+        required: 'boolean'
+    },
+    network: {
+        slowEffectiveTypes: ['string'],
+        maxRtt: 'number',
+        minDownlink: 'number',
+        minDeviceMemory: 'number',
+        constrained: {
+            prefetch: 'boolean',
+            srcset: 'boolean',
+            cacheFirst: 'boolean',
+            imageVariants: [{
+                match: 'string|regexp',
+                replace: 'string'
+            }]
+        }
+    },
+    analytics: {
+        enabled: 'boolean',
+        maxTime: 'number',
+        providers: ['string|object']
+    },
+    queue: {
+        routes: [{
+            match: 'string|regexp',
+            methods: ['string'],
+            maxRetries: 'number'
+        }],
+        maxRetries: 'number',
+        maxTime: 'number'
+    },
+    update: {
+        mode: 'string'
+    },
+    navigationPreload: {
+        enabled: 'boolean',
+        headerValue: 'string'
+    },
+    appShell: {
+        enabled: 'boolean',
+        header: 'string',
+        footer: 'string',
+        partialUrl: 'string',
+        match: ['string|regexp'],
+        offlineContent: 'string'
+    },
+    push: {
+        title: 'string',
+        icon: 'string',
+        badge: 'string',
+        analyticsUrl: 'string'
+    }
+};
+
+/**
+ * Generate a cache name.
+ *
+ * @param {string} key
+ *
+ * @return {string}
+ */
+export function cacheName(key) {
+    return globalConfig.version + ':sw-cache::' + key;
+}
+
+/**
+ * Get the key a cache name was generated from.
+ *
+ * @param {string} cacheKey
+ *
+ * @return {string}
+ */
+export function cacheType(cacheKey) {
+    return cacheKey.split('::').pop();
+}
+
+/**
+ * Check if item is object.
+ *
+ * @param {object} item
+ *
+ * @return {object}
+ */
+function isObject(item) {
+    return (item && 'object' === typeof item && !Array.isArray(item) && null !== item && !isRegExp(item));
+}
+
+/**
+ * Check if a value is of a configuration schema type.
+ *
+ * @param {*} value
+ * @param {string} type
+ *
+ * @return {boolean}
+ */
+function isConfigType(value, type) {
+    switch (type) {
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return isObject(value);
+        case 'regexp':
+            return isRegExp(value) || (isObject(value) && 'string' === typeof value.$regexp);
+        default:
+            return type === typeof value;
+    }
+}
+
+/**
+ * Check if item is a regular expression.
+ * Works with regular expressions created in other contexts.
+ *
+ * @param {object} item
+ *
+ * @return {boolean}
+ */
+export function isRegExp(item) {
+    return '[object RegExp]' === Object.prototype.toString.call(item);
+}
+
+/**
+ * Deep merge of two objects.
+ *
+ * @param {object} target
+ * @param {object} source
+ *
+ * @return {object}
+ */
+export function mergeDeep(target, source) {
+    if (isObject(target) && isObject(source)) {
+        Object.keys(source).forEach(key => {
+            if (isObject(source[key])) {
+                if (!target[key]) {
+                    Object.assign(target, { [key]: {} });
+                }
+
+                mergeDeep(target[key], source[key]);
+            } else {
+                Object.assign(target, { [key]: source[key] });
+            }
+        });
+    }
+
+    return target;
+}
+
+/**
+ * Convert a configuration into a JSON compatible object.
+ * Regular expressions are stored as { $regexp: source, $flags: flags }.
+ *
+ * @param {*} value
+ *
+ * @return {*}
+ */
+export function serializeConfig(value) {
+    if (isRegExp(value)) {
+        return { $regexp: value.source, $flags: value.flags };
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(item => serializeConfig(item));
+    }
+
+    if (isObject(value)) {
+        return Object.keys(value).reduce((serialized, key) => {
+            serialized[key] = serializeConfig(value[key]);
+
+            return serialized;
+        }, {});
+    }
+
+    return value;
+}
+
+/**
+ * Restore the regular expressions of a serialized configuration.
+ *
+ * @param {*} value
+ *
+ * @return {*}
+ */
+export function unserializeConfig(value) {
+    if (isObject(value) && 'string' === typeof value.$regexp) {
+        return new RegExp(value.$regexp, value.$flags || '');
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(item => unserializeConfig(item));
+    }
+
+    if (isObject(value)) {
+        return Object.keys(value).reduce((unserialized, key) => {
+            unserialized[key] = unserializeConfig(value[key]);
+
+            return unserialized;
+        }, {});
+    }
+
+    return value;
+}
+
+/**
+ * Validate a configuration against a schema.
+ * Returns the configuration without the invalid options, which are added to
+ * the errors list. Returns undefined when the whole value is invalid.
+ *
+ * @param {*} value
+ * @param {*} schema
+ * @param {string} path
+ * @param {Array} errors
+ *
+ * @return {*}
+ */
+export function validateConfig(value, schema, path, errors) {
+    function typeError(expected) {
+        errors.push({
+            code    : 'invalidType',
+            path    : path,
+            expected: expected,
+            message : (path || 'config') + ' must be of type ' + expected
+        });
+    }
+
+    if ('string' === typeof schema) {
+        if (!schema.split('|').some(type => isConfigType(value, type))) {
+            typeError(schema);
+
+            return undefined;
+        }
+
+        return value;
+    }
+
+    if (Array.isArray(schema)) {
+        if (!Array.isArray(value)) {
+            typeError('array');
+
+            return undefined;
+        }
+
+        return value
+            .map((item, index) => validateConfig(item, schema[0], path + '[' + index + ']', errors))
+            .filter(item => undefined !== item);
+    }
+
+    if (!isObject(value)) {
+        typeError('object');
+
+        return undefined;
+    }
+
+    return Object.keys(value).reduce((validConfig, key) => {
+        var keyPath   = path ? path + '.' + key : key;
+        var keySchema = schema.hasOwnProperty(key) ? schema[key] : schema['*'];
+        var keyValue;
+
+        if (undefined === keySchema) {
+            errors.push({
+                code   : 'unknownOption',
+                path   : keyPath,
+                message: 'Unknown option ' + keyPath
+            });
+
+            return validConfig;
+        }
+
+        keyValue = validateConfig(value[key], keySchema, keyPath, errors);
+        if (undefined !== keyValue) {
+            validConfig[key] = keyValue;
+        }
+
+        return validConfig;
+    }, {});
+}
@@ -0,0 +1,220 @@
+/**
+ * Service Worker lifecycle and message events.
+ */
+
+import { globalConfig, unserializeConfig } from './config.js';
+import { clearCache, getCacheStats, listCached, purge } from './cache.js';
+import { deleteCacheEntries } from './expiration.js';
+import { cleanPrecache, getPrecacheEntries, precache } from './precache.js';
+import { getOfflineEntries } from './offline.js';
+import { getQueue, replayQueue } from './queue.js';
+import { cancelPrefetch, getPredictions, prefetch } from './prefetch.js';
+import { restoreConfig, setConfig, setConsent, setNetworkProfile } from './settings.js';
+import { onFetch } from './router.js';
+import { updateNavigationPreload } from './navigation.js';
+import { onNotificationClick, onNotificationClose, onPush } from './push.js';
+
+/**
+ * Add the Service Worker event listeners and restore the configuration saved
+ * before the Service Worker was stopped. Custom Service Workers must call it
+ * once, when the script is evaluated.
+ */
+export function listen() {
+    self.addEventListener('install', onInstall);
+    self.addEventListener('activate', onActivate);
+    self.addEventListener('fetch', onFetch);
+    self.addEventListener('message', onMessage);
+    self.addEventListener('sync', onSync);
+    self.addEventListener('push', onPush);
+    self.addEventListener('notificationclick', onNotificationClick);
+    self.addEventListener('notificationclose', onNotificationClose);
+
+    restoreConfig();
+}
+
+/**
+ * Service Worker installation.
+ * Downloads the precache manifest and the offline fallbacks. The
+ * installation fails if any of the manifest elements can not be downloaded.
+ * In prompt update mode, the new Service Worker waits until the page asks it
+ * to be activated.
+ *
+ * @param {object} event
+ */
+export function onInstall(event) {
+    if ('prompt' !== updateMode()) {
+        self.skipWaiting();
+    }
+
+    // The offline fallbacks do not block the installation.
+    event.waitUntil(
+        restoreConfig()
+        .then(() => Promise.all([
+            precache(getPrecacheEntries()),
+            precache(getOfflineEntries()).catch(error => console.error('Precache error:', error))
+        ]))
+    );
+}
+
+/**
+ * Service Worker activation.
+ * Deletes old cache content and its expiration data, and the precached
+ * elements no longer in the manifest. Enables the navigation preload when
+ * configured.
+ *
+ * @param {object} event
+ */
+export function onActivate(event) {
+    event.waitUntil(
+        caches.keys()
+        .then(cacheKeys => {
+            return Promise.all(cacheKeys
+                .filter(key => (0 !== key.indexOf(globalConfig.version)))
+                .filter(key => key !== globalConfig.precache.cache)
+                .map(oldKey => {
+                    return caches.delete(oldKey)
+                    .then(() => deleteCacheEntries(oldKey))
+                    .catch(() => {});
+                })
+            );
+        })
+        .then(() => restoreConfig())
+        .then(() => updateNavigationPreload())
+        .then(() => cleanPrecache(getPrecacheEntries().concat(getOfflineEntries())))
+        .then(() => {
+            // Analytics requests are now stored in the queue.
+            indexedDB.deleteDatabase('offline-analytics');
+        })
+        .then(() => self.clients.claim())
+    );
+}
+
+/**
+ * Actions based on the message received from the DOM.
+ *   - setConfig. Merge the page configuration.
+ *   - prefetch. Prefetch a grup of URLs.
+ *   - cancelPrefetch. Cancel the queued prefetches of a page session.
+ *   - setNetworkProfile. Network conditions of the page.
+ *   - getPredictions. Pages most visited after a page.
+ *   - getCacheStats. Number of elements and size of each cache.
+ *   - listCached. Elements of a cache type.
+ *   - purge. Delete the elements matching a URL or pattern.
+ *   - clearCache. Delete a cache type.
+ *   - getQueue. Requests waiting to be replayed.
+ *   - reconnected. Retry the queued and analytics requests.
+ *   - skipWaiting. Activate the waiting Service Worker.
+ *
+ * Messages are handled once the saved configuration is restored. When the
+ * message includes a MessageChannel port, the result or the error is sent
+ * back through it with the message id.
+ *
+ * @param {object} event
+ */
+export function onMessage(event) {
+    var data    = event.data;
+    var port    = event.ports && event.ports[0];
+    var handled = restoreConfig()
+    .then(() => {
+        switch (data.command) {
+            case 'setConfig':
+                return setConfig(data.config)
+                .then(result => {
+                    // Pages without a port expect a configuration notice.
+                    if (!port && event.source) {
+                        event.source.postMessage({ message: 'isConfigured' });
+                    }
+
+                    return result;
+                });
+            case 'prefetch':
+                return prefetch(data.urls, { priority: data.priority, session: data.session });
+            case 'cancelPrefetch':
+                return cancelPrefetch(data.session);
+            case 'getPredictions':
+                return getPredictions(data.url);
+            case 'setNetworkProfile':
+                return setNetworkProfile(data.profile);
+            case 'getCacheStats':
+                return getCacheStats();
+            case 'listCached':
+                return listCached(data.type);
+            case 'purge':
+                return purge(unserializeConfig(data.pattern));
+            case 'clearCache':
+                return clearCache(data.type);
+            case 'getQueue':
+                return getQueue();
+            case 'setConsent':
+                return setConsent(data.consent);
+            case 'getConsent':
+                return globalConfig.settings.consent;
+            case 'reconnected':
+                return replayQueue();
+            case 'skipWaiting':
+                return self.skipWaiting();
+            default:
+                throw Error('Unknown command ' + data.command);
+        }
+    });
+
+    if (port) {
+        handled = handled
+        .then(result => port.postMessage({ id: data.id, result: result }))
+        .catch(error => port.postMessage({ id: data.id, error: { message: error.message } }));
+    }
+
+    if (event.waitUntil) {
+        event.waitUntil(handled.catch(() => {}));
+    }
+}
+
+/**
+ * Background Sync event. Replays the queued requests.
+ * When some request can not be sent yet, the browser retries the sync later.
+ *
+ * @param {object} event
+ */
+export function onSync(event) {
+    if (globalConfig.queue.syncTag !== event.tag) {
+        return;
+    }
+
+    event.waitUntil(
+        restoreConfig()
+        .then(() => replayQueue())
+        .then(result => {
+            if (result.pending) {
+                throw Error(result.pending + ' queued requests could not be sent');
+            }
+        })
+    );
+}
+
+/**
+ * Send message to all the clients.
+ *
+ * @param {string} message
+ * @param {object} data
+ *
+ * @return {Promise}
+ */
+export function sendMessage(message, data) {
+    return self.clients.matchAll().then(clients => {
+        clients.forEach(client => {
+            client.postMessage(Object.assign({
+                message: message
+            }, data));
+        });
+    });
+}
+
+/**
+ * Get the update mode from the Service Worker URL.
+ *   - auto. New versions are activated as soon as they are installed.
+ *   - prompt. New versions wait until the page applies the update.
+ *
+ * @return {string}
+ */
+function updateMode() {
+    return new URL(self.location.href).searchParams.get('update') || 'auto';
+}
@@ -0,0 +1,252 @@
+/**
+ * Cache limits. The date and size of every cached element are saved to
+ * IndexedDB to apply the maxAgeSeconds, maxItems and maxBytes limits.
+ */
+
+import { cacheType, config, globalConfig, mergeDeep } from './config.js';
+import { idbRequest, openStore } from './idb.js';
+import { requestUrl } from './router.js';
+
+/**
+ * Check if a cached element is still fresh.
+ * Expired elements are deleted in the background and accessed ones are
+ * marked as recently used.
+ *
+ * @param {string} cacheKey
+ * @param {object} request
+ *
+ * @return {Promise}
+ */
+export function checkExpiration(cacheKey, request) {
+    var expiration = getExpiration(cacheKey);
+    var url        = requestUrl(request);
+
+    if (!expiration) {
+        return Promise.resolve(true);
+    }
+
+    return getCacheEntry(cacheKey, url)
+    .then(entry => {
+        var now = Date.now();
+
+        if (!entry) {
+            return true;
+        }
+
+        if (isExpired(entry, expiration, now)) {
+            caches.open(cacheKey)
+            .then(cache => deleteFromCache(cache, cacheKey, url));
+
+            return false;
+        }
+
+        entry.accessed = now;
+        putCacheEntry(entry);
+
+        return true;
+    })
+    .catch(() => true);
+}
+
+/**
+ * Delete an element from a cache and its expiration data.
+ *
+ * @param {Cache} cache
+ * @param {string} cacheKey
+ * @param {string} url
+ *
+ * @return {Promise}
+ */
+export function deleteFromCache(cache, cacheKey, url) {
+    return cache.delete(url)
+    .then(() => getExpirationStore('readwrite'))
+    .then(store => idbRequest(store.delete([cacheKey, url])))
+    .catch(() => {});
+}
+
+/**
+ * Delete the expiration data of a whole cache.
+ *
+ * @param {string} cacheKey
+ *
+ * @return {Promise}
+ */
+export function deleteCacheEntries(cacheKey) {
+    return getExpirationStore('readwrite')
+    .then(store => {
+        // Arrays are sorted after strings, so the range covers every URL.
+        return idbRequest(store.delete(IDBKeyRange.bound([cacheKey], [cacheKey, []])));
+    });
+}
+
+/**
+ * Get the expiration data of a cached element.
+ *
+ * @param {string} cacheKey
+ * @param {string} url
+ *
+ * @return {Promise}
+ */
+function getCacheEntry(cacheKey, url) {
+    return getExpirationStore('readonly')
+    .then(store => idbRequest(store.get([cacheKey, url])));
+}
+
+/**
+ * Get the expiration data of all the elements of a cache indexed by URL.
+ *
+ * @param {string} cacheKey
+ *
+ * @return {Promise}
+ */
+export function getCacheEntries(cacheKey) {
+    return getExpirationStore('readonly')
+    .then(store => idbRequest(store.index('cache').getAll(cacheKey)))
+    .then(entries => {
+        return entries.reduce((entriesByUrl, entry) => {
+            entriesByUrl[entry.url] = entry;
+
+            return entriesByUrl;
+        }, {});
+    })
+    .catch(() => ({}));
+}
+
+/**
+ * Get the limits of a cache.
+ * The global maxItems is used when the cache type does not define its own.
+ * The precache has no limits: its elements must stay cached until the next
+ * version of the Service Worker.
+ *
+ * @param {string} cacheKey
+ *
+ * @return {object|null}
+ */
+export function getExpiration(cacheKey) {
+    var expiration;
+
+    if (cacheKey === globalConfig.precache.cache) {
+        return null;
+    }
+
+    expiration = mergeDeep(
+        { maxItems: config.cache.maxItems },
+        (config.cache.expiration && config.cache.expiration[cacheType(cacheKey)]) || {}
+    );
+
+    if (!expiration.maxItems && !expiration.maxAgeSeconds && !expiration.maxBytes) {
+        return null;
+    }
+
+    return expiration;
+}
+
+/**
+ * Get the expiration IndexedDB store.
+ *
+ * @param {string} mode
+ *
+ * @return {Promise}
+ */
+function getExpirationStore(mode) {
+    return openStore(globalConfig.expiration, mode, database => {
+        database
+        .createObjectStore(globalConfig.expiration.store, { keyPath: ['cache', 'url'] })
+        .createIndex('cache', 'cache');
+    });
+}
+
+/**
+ * Check if a cached element is older than the cache maximum age.
+ *
+ * @param {object} entry
+ * @param {object} expiration
+ * @param {integer} now
+ *
+ * @return {boolean}
+ */
+function isExpired(entry, expiration, now) {
+    if (!expiration.maxAgeSeconds || !entry.timestamp) {
+        return false;
+    }
+
+    return (now - entry.timestamp) > expiration.maxAgeSeconds * 1000;
+}
+
+/**
+ * Save the expiration data of a cached element.
+ *
+ * @param {object} entry
+ *
+ * @return {Promise}
+ */
+export function putCacheEntry(entry) {
+    return getExpirationStore('readwrite')
+    .then(store => idbRequest(store.put(entry)))
+    .catch(() => {});
+}
+
+/**
+ * Apply the limits of every cache.
+ */
+export function trimCaches() {
+    if (!config.cache.enabled) {
+        return;
+    }
+
+    caches.keys()
+    .then(cacheKeys => {
+        cacheKeys
+        .map(cacheName => {
+            trimCache(cacheName);
+        });
+    });
+}
+
+/**
+ * Apply the limits of a cache.
+ *   - maxAgeSeconds. Delete elements older than the limit.
+ *   - maxItems, maxBytes. Delete the least recently used elements until the
+ *     cache fits.
+ * Elements without expiration data are considered the least recently used.
+ *
+ * @param {string} cacheKey
+ *
+ * @return {Promise}
+ */
+export function trimCache(cacheKey) {
+    var expiration = getExpiration(cacheKey);
+
+    if (!expiration) {
+        return Promise.resolve();
+    }
+
+    return caches.open(cacheKey)
+    .then(cache => {
+        return Promise.all([cache.keys(), getCacheEntries(cacheKey)])
+        .then(results => {
+            var now     = Date.now();
+            var entries = results[1];
+            var items   = results[0].map(key => {
+                return entries[key.url] || { url: key.url, accessed: 0, size: 0 };
+            });
+            var expired = items.filter(item => isExpired(item, expiration, now));
+            var alive   = items
+                .filter(item => !isExpired(item, expiration, now))
+                .sort((a, b) => a.accessed - b.accessed);
+            var bytes   = alive.reduce((total, item) => total + item.size, 0);
+
+            while (
+                (expiration.maxItems && alive.length > expiration.maxItems)
+                || (expiration.maxBytes && bytes > expiration.maxBytes)
+            ) {
+                var item = alive.shift();
+
+                bytes -= item.size;
+                expired.push(item);
+            }
+
+            return Promise.all(expired.map(item => deleteFromCache(cache, cacheKey, item.url)));
+        });
+    });
+}
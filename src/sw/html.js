@@ -0,0 +1,520 @@
+/**
+ * HTML transformations applied to the pages while they are downloaded.
+ */
+
+import { config } from './config.js';
+import { hasConsent } from './settings.js';
+
+// HTML transformations applied to the pages while they are downloaded.
+// See registerHtmlTransform().
+var htmlTransforms = [
+    { name: 'defer-images', tags: ['img', 'picture', 'source'], transform: deferImage },
+    { name: 'defer-youtube', tags: ['iframe'], transform: deferYoutubeVideo }
+];
+
+// Elements whose content is not parsed as HTML.
+var rawTextTags = ['script', 'style', 'textarea', 'title', 'xmp'];
+
+/**
+ * Prepare an image for delayed loading.
+ * Images with the data-defer attribute, or inside a picture with it, get an
+ * svg of the same size. The original sources are moved to data-defer-src and
+ * data-defer-srcset.
+ *
+ * @param {HtmlTag} tag
+ * @param {object} state
+ */
+function deferImage(tag, state) {
+    if ('picture' === tag.name) {
+        state.inPicture = !tag.closing && tag.hasAttribute('data-defer');
+
+        return;
+    }
+
+    if (tag.closing || (!state.inPicture && !tag.hasAttribute('data-defer'))) {
+        return;
+    }
+
+    if ('img' === tag.name) {
+        setImage(tag);
+    }
+
+    tag.renameAttribute('srcset', 'data-defer-srcset');
+}
+
+/**
+ * Prepare a YouTube video for delayed loading.
+ * The iframe is wrapped in a responsive container and shows the video
+ * thumbnail until it is clicked.
+ *
+ * @param {HtmlTag} tag
+ * @param {object} state
+ *
+ * @return {string|undefined}
+ */
+function deferYoutubeVideo(tag, state) {
+    if (tag.closing) {
+        if (!state.isOpen) {
+            return;
+        }
+
+        state.isOpen = false;
+
+        return tag.html + '</div>';
+    }
+
+    var src   = tag.getAttribute('data-yt-src') || '';
+    var match = src.match(/^(?:https?:)?\/\/(?:www\.)?youtube(?:-nocookie)?\.com\/embed\/([\w-]+)/i);
+
+    if (!config.defer.youtube.enabled || !match) {
+        return;
+    }
+
+    if (config.defer.youtube.noCookie) {
+        src = src.replace(/\/\/(?:www\.)?youtube\.com\//i, '//www.youtube-nocookie.com/');
+    }
+
+    // The thumbnail is not loaded from YouTube without media consent.
+    var preview = hasConsent('media')
+        ? '<img src=https://img.youtube.com/vi/' + match[1] + '/hqdefault.jpg alt><span>▶</span>'
+        : '<span class=notice>Load external content from YouTube</span>';
+
+    tag.removeAttribute('data-yt-src');
+    tag.setAttribute('style', 'border:0;height:100%;left:0;position:absolute;top:0;width:100%;' + (tag.getAttribute('style') || ''));
+    tag.setAttribute('src', src);
+    tag.setAttribute('srcdoc', '<style>*{padding:0;margin:0;overflow:hidden}html,body{height:100%;background:#000}img,span{position:absolute;width:100%;top:0;bottom:0;margin:auto}span{height:1.5em;text-align:center;font:48px/1.5 sans-serif;color:white;text-shadow:0 0 0.5em black}.notice{font-size:16px}</style><a href=' + src + (-1 === src.indexOf('?') ? '?' : '&') + 'autoplay=1>' + preview + '</a>');
+
+    state.isOpen = true;
+
+    return '<div style="overflow:hidden;padding-top:56.25%;position:relative;">' + tag;
+}
+
+/**
+ * Check if Response is a UTF-8 HTML document.
+ *
+ * @param {object} response
+ *
+ * @return {boolean}
+ */
+export function isHtmlResponse(response) {
+    var contentType = response.headers.get('content-type') || '';
+    var charset     = contentType.match(/charset=["']?([\w-]+)/i);
+
+    return -1 !== contentType.indexOf('text/html')
+        && (!charset || /^utf-?8$/i.test(charset[1]));
+}
+
+/**
+ * Register an HTML transformation. It can be called from a script that
+ * imports the Service Worker.
+ * The transformation receives every tag of the page with one of its tag
+ * names:
+ *   - transform(tag, state). tag is an HtmlTag whose attributes can be
+ *     changed. state is an object shared by the calls for the same page.
+ *     Returning a string replaces the tag and skips the next
+ *     transformations.
+ *
+ * @param {object} transform { name, tags, transform }
+ */
+export function registerHtmlTransform(transform) {
+    if (!Array.isArray(transform.tags) || 'function' !== typeof transform.transform) {
+        throw Error('HTML transformations need a list of tags and a transform function');
+    }
+
+    htmlTransforms.push(transform);
+}
+
+/**
+ * Apply the HTML transformations to a page while it is downloaded.
+ * The response status and headers are preserved.
+ *
+ * @param {object} response
+ *
+ * @return {object|Promise}
+ */
+export function transformHtml(response) {
+    if (!response.ok || !response.body || !isHtmlResponse(response)) {
+        return response;
+    }
+
+    var rewriter = createHtmlRewriter();
+    var headers  = new Headers(response.headers);
+    var init     = {
+        status    : response.status,
+        statusText: response.statusText,
+        headers   : headers
+    };
+
+    headers.delete('content-length');
+
+    // Browsers without streams support transform the whole page.
+    if ('undefined' === typeof TransformStream) {
+        return response.text()
+        .then(html => new Response(rewriter.write(html) + rewriter.end(), init));
+    }
+
+    var decoder = new TextDecoder();
+    var encoder = new TextEncoder();
+
+    function enqueue(html, controller) {
+        if (html) {
+            controller.enqueue(encoder.encode(html));
+        }
+    }
+
+    return new Response(response.body.pipeThrough(new TransformStream({
+        transform: (chunk, controller) => {
+            enqueue(rewriter.write(decoder.decode(chunk, { stream: true })), controller);
+        },
+        flush: controller => {
+            enqueue(rewriter.write(decoder.decode()) + rewriter.end(), controller);
+        }
+    })), init);
+}
+
+/**
+ * Set image based on the actual img object size.
+ *
+ * @param {HtmlTag} image
+ */
+function setImage(image) {
+    var width  = parseInt(image.getAttribute('width'), 10);
+    var height = parseInt(image.getAttribute('height'), 10);
+    var src    = image.getAttribute('src') || image.getAttribute('data-src');
+
+    if (!width || !height || !src) {
+        return;
+    }
+
+    image.setAttribute('src', newBase64Image(width, height));
+    image.setAttribute('data-defer-src', src);
+}
+
+/**
+ * Get new base64 image given a size and color.
+ *
+ * @param {integer} width
+ * @param {integer} height
+ *
+ * @return {string}
+ */
+function newBase64Image(width, height) {
+    var element = '<svg role="img" aria-labelledby="offline-title" viewBox="0 0 ' + width + ' ' + height + '" xmlns="http://www.w3.org/2000/svg"><g fill="none" fill-rule="evenodd"><path fill="' + config.defer.images.color + '" d="M0 0h' + width + 'v' + height + 'H0z"/></g></svg>';
+
+    return 'data:image/svg+xml;base64,' + btoa(element);
+}
+
+/**
+ * HTML tag found by the rewriter.
+ * Attribute values are kept as written in the page, without decoding their
+ * character references.
+ *
+ * @param {string} name
+ * @param {boolean} closing
+ * @param {Array} attributes { name, value } list. Value is null when the
+ *     attribute has no value.
+ * @param {string} html
+ */
+export function HtmlTag(name, closing, attributes, html) {
+    this.name       = name;
+    this.closing    = closing;
+    this.attributes = attributes;
+    this.html       = html;
+    this.changed    = false;
+}
+
+HtmlTag.prototype.findAttribute = function(name) {
+    name = name.toLowerCase();
+
+    return this.attributes.find(attribute => attribute.name.toLowerCase() === name);
+};
+
+HtmlTag.prototype.hasAttribute = function(name) {
+    return !!this.findAttribute(name);
+};
+
+HtmlTag.prototype.getAttribute = function(name) {
+    var attribute = this.findAttribute(name);
+
+    if (!attribute) {
+        return null;
+    }
+
+    return (null === attribute.value) ? '' : attribute.value;
+};
+
+HtmlTag.prototype.setAttribute = function(name, value) {
+    var attribute = this.findAttribute(name);
+
+    if (attribute) {
+        attribute.value = String(value);
+    } else {
+        this.attributes.push({ name: name, value: String(value) });
+    }
+
+    this.changed = true;
+};
+
+HtmlTag.prototype.removeAttribute = function(name) {
+    var attribute = this.findAttribute(name);
+
+    if (attribute) {
+        this.attributes.splice(this.attributes.indexOf(attribute), 1);
+        this.changed = true;
+    }
+};
+
+HtmlTag.prototype.renameAttribute = function(name, newName) {
+    var attribute = this.findAttribute(name);
+
+    if (attribute) {
+        attribute.name = newName;
+        this.changed   = true;
+    }
+};
+
+/**
+ * Get the tag HTML. The original HTML is kept when nothing has changed.
+ *
+ * @return {string}
+ */
+HtmlTag.prototype.toString = function() {
+    if (!this.changed) {
+        return this.html;
+    }
+
+    var attributes = this.attributes.map(attribute => {
+        var value = attribute.value;
+        var quote = '"';
+
+        if (null === value) {
+            return ' ' + attribute.name;
+        }
+
+        if (-1 !== value.indexOf('"')) {
+            if (-1 === value.indexOf("'")) {
+                quote = "'";
+            } else {
+                value = value.replace(/"/g, '&quot;');
+            }
+        }
+
+        return ' ' + attribute.name + '=' + quote + value + quote;
+    });
+
+    return '<' + (this.closing ? '/' : '') + this.name + attributes.join('') + (/\/>$/.test(this.html) ? ' />' : '>');
+};
+
+/**
+ * Create an HTML rewriter that applies the HTML transformations to a page
+ * received in chunks.
+ * Tags split between chunks are kept until they are complete. Comments and
+ * the content of script, style, ... elements are not transformed.
+ *
+ * @return {object} write(html) and end() return the transformed HTML.
+ */
+function createHtmlRewriter() {
+    var states  = htmlTransforms.map(() => ({}));
+    var pending = '';
+    var rawText = null;
+
+    function transform(tag) {
+        var output;
+
+        htmlTransforms.some((transform, index) => {
+            if (!transform.tags.includes(tag.name)) {
+                return false;
+            }
+
+            output = transform.transform(tag, states[index]);
+
+            return 'string' === typeof output;
+        });
+
+        return ('string' === typeof output) ? output : tag.toString();
+    }
+
+    function rewrite(html, isLast) {
+        var output   = '';
+        var position = 0;
+        var closing;
+        var token;
+        var start;
+
+        html = pending + html;
+
+        while (position < html.length) {
+            if (rawText) {
+                closing           = new RegExp('</' + rawText, 'ig');
+                closing.lastIndex = position;
+                closing           = closing.exec(html);
+
+                if (!closing) {
+                    // The end could be the start of the closing tag.
+                    start     = isLast ? html.length : Math.max(position, html.length - rawText.length - 2);
+                    output   += html.slice(position, start);
+                    position  = start;
+                    break;
+                }
+
+                output   += html.slice(position, closing.index);
+                position  = closing.index;
+                rawText   = null;
+            }
+
+            start = html.indexOf('<', position);
+            if (-1 === start) {
+                output   += html.slice(position);
+                position  = html.length;
+                break;
+            }
+
+            output   += html.slice(position, start);
+            position  = start;
+            token     = readHtmlTag(html, start);
+
+            if (!token) {
+                if (isLast) {
+                    output   += html.slice(position);
+                    position  = html.length;
+                }
+                break;
+            }
+
+            if (token.tag) {
+                output += transform(token.tag);
+
+                if (!token.tag.closing && rawTextTags.includes(token.tag.name)) {
+                    rawText = token.tag.name;
+                }
+            } else {
+                output += html.slice(start, token.end);
+            }
+
+            position = token.end;
+        }
+
+        pending = html.slice(position);
+
+        return output;
+    }
+
+    return {
+        write: html => rewrite(html, false),
+        end  : () => rewrite('', true)
+    };
+}
+
+/**
+ * Read the markup starting with < at a position of an HTML text.
+ * Returns null when the markup is not complete yet, the end position for
+ * comments, doctypes and text, and the end position and the tag for tags.
+ *
+ * @param {string} html
+ * @param {integer} start
+ *
+ * @return {object|null}
+ */
+function readHtmlTag(html, start) {
+    var spaces     = ' \t\n\r\f';
+    var position   = start + 1;
+    var attributes = [];
+    var closing    = false;
+    var tagName;
+    var name;
+    var value;
+    var quote;
+    var end;
+
+    function skip(chars) {
+        while (position < html.length && -1 !== chars.indexOf(html.charAt(position))) {
+            position++;
+        }
+    }
+
+    function readUntil(chars) {
+        var from = position;
+
+        while (position < html.length && -1 === chars.indexOf(html.charAt(position))) {
+            position++;
+        }
+
+        return html.slice(from, position);
+    }
+
+    if (position >= html.length) {
+        return null;
+    }
+
+    // Comments, doctypes and processing instructions.
+    if ('!' === html.charAt(position) || '?' === html.charAt(position)) {
+        if ('<!--' === html.substr(start, 4)) {
+            end = html.indexOf('-->', start + 4);
+
+            return (-1 === end) ? null : { end: end + 3 };
+        }
+
+        // The comment start could be split.
+        if (0 === '<!--'.indexOf(html.slice(start))) {
+            return null;
+        }
+
+        end = html.indexOf('>', start);
+
+        return (-1 === end) ? null : { end: end + 1 };
+    }
+
+    if ('/' === html.charAt(position)) {
+        closing = true;
+        position++;
+    }
+
+    // A < not followed by a letter is text.
+    if (position < html.length && !/[a-z]/i.test(html.charAt(position))) {
+        return { end: position };
+    }
+
+    tagName = readUntil(spaces + '/>').toLowerCase();
+
+    while (position < html.length) {
+        skip(spaces + '/');
+
+        if ('>' === html.charAt(position)) {
+            return {
+                end: position + 1,
+                tag: new HtmlTag(tagName, closing, attributes, html.slice(start, position + 1))
+            };
+        }
+
+        // An attribute name can start with =.
+        name = html.charAt(position++) + readUntil(spaces + '/>=');
+        skip(spaces);
+
+        if ('=' !== html.charAt(position)) {
+            if (position < html.length) {
+                attributes.push({ name: name, value: null });
+            }
+            continue;
+        }
+
+        position++;
+        skip(spaces);
+        quote = html.charAt(position);
+
+        if ('"' === quote || "'" === quote) {
+            position++;
+            value = readUntil(quote);
+
+            if (position >= html.length) {
+                return null;
+            }
+            position++;
+        } else {
+            value = readUntil(spaces + '>');
+        }
+
+        attributes.push({ name: name, value: value });
+    }
+
+    return null;
+}
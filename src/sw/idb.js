@@ -0,0 +1,59 @@
+/**
+ * IndexedDB helpers.
+ */
+
+/**
+ * Wrap an IndexedDB request in a promise.
+ *
+ * @param {IDBRequest} request
+ *
+ * @return {Promise}
+ */
+export function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror   = () => reject(request.error);
+    });
+}
+
+/**
+ * Open an IndexedDB database.
+ *
+ * @param {string} name
+ * @param {integer} version
+ * @param {function} upgrade
+ *
+ * @return {Promise}
+ */
+export function openDB(name, version, upgrade) {
+    return new Promise((resolve, reject) => {
+        var request = indexedDB.open(name, version);
+
+        request.onupgradeneeded = () => upgrade(request.result);
+        request.onsuccess       = () => resolve(request.result);
+        request.onerror         = () => reject(request.error);
+    });
+}
+
+/**
+ * Get an IndexedDB store, opening its database if needed.
+ *
+ * @param {object} database Database settings: name, store and version.
+ * @param {string} mode
+ * @param {function} upgrade
+ *
+ * @return {Promise}
+ */
+export function openStore(database, mode, upgrade) {
+    if (!database.connection) {
+        database.connection = openDB(database.name, database.version, upgrade)
+        .catch(error => {
+            database.connection = undefined;
+
+            throw error;
+        });
+    }
+
+    return database.connection
+    .then(connection => connection.transaction(database.store, mode).objectStore(database.store));
+}
@@ -0,0 +1,21 @@
+/**
+ * Public entry point of the Service Worker modules. Custom Service Workers
+ * import the pieces they need from here and call listen() to add the event
+ * listeners of the default Service Worker.
+ */
+
+export { listen, onActivate, onInstall, onMessage, onSync, sendMessage } from './events.js';
+export { findRoute, getResourceType, globToRegExp, matchesPattern, onFetch, registerClassifier, registerFetchHandler, shouldHandleFetch } from './router.js';
+export { cacheFirst, cacheOnly, fetchFromNetwork, getStrategy, networkFirst, networkOnly, staleWhileRevalidate } from './strategies.js';
+export { addToCache, clearCache, fetchFromCache, getCacheStats, listCached, purge } from './cache.js';
+export { trimCache, trimCaches } from './expiration.js';
+export { fetchFromPrecache, isPrecached, precache, setPrecacheManifest } from './precache.js';
+export { offlineResponse } from './offline.js';
+export { getQueue, queueFetch, replayQueue } from './queue.js';
+export { HtmlTag, isHtmlResponse, registerHtmlTransform, transformHtml } from './html.js';
+export { cancelPrefetch, getPredictions, prefetch } from './prefetch.js';
+export { getNetworkProfile } from './network.js';
+export { appShellResponse, isAppShellNavigation, partialUrl, updateNavigationPreload } from './navigation.js';
+export { onNotificationClick, onNotificationClose, onPush } from './push.js';
+export { configure, hasConsent, restoreConfig, setConfig, setConsent, setNetworkProfile } from './settings.js';
+export { cacheName, config, globalConfig } from './config.js';
@@ -0,0 +1,172 @@
+/**
+ * Navigation preload and app shell. Both reduce the time to the first paint
+ * of the navigations: the preload starts the download while the Service
+ * Worker boots, and the app shell streams the cached header before the
+ * content is downloaded.
+ */
+
+import { cacheName, config, globalConfig } from './config.js';
+import { addToCache, fetchFromCache } from './cache.js';
+import { fetchFromNetwork } from './strategies.js';
+import { getOfflineEntries } from './offline.js';
+import { matchesPattern, requestUrl } from './router.js';
+
+/**
+ * Enable or disable the navigation preload, as configured. The preload
+ * requests are sent with the Service-Worker-Navigation-Preload header, whose
+ * value can be configured.
+ *
+ * @return {Promise}
+ */
+export function updateNavigationPreload() {
+    var navigationPreload = self.registration && self.registration.navigationPreload;
+    var settings          = config.navigationPreload;
+    var update;
+
+    if (!navigationPreload) {
+        return Promise.resolve();
+    }
+
+    if (settings.enabled) {
+        update = navigationPreload.enable()
+        .then(() => settings.headerValue && navigationPreload.setHeaderValue(settings.headerValue));
+    } else {
+        update = navigationPreload.disable();
+    }
+
+    return update.catch(error => console.error('Navigation preload error:', error));
+}
+
+/**
+ * Check if a navigation is composed with the app shell.
+ *
+ * @param {object} request
+ *
+ * @return {boolean}
+ */
+export function isAppShellNavigation(request) {
+    var appShell = config.appShell;
+    var url      = new URL(request.url);
+
+    if (!appShell.enabled || 'navigate' !== request.mode || !appShell.header || !appShell.footer) {
+        return false;
+    }
+
+    return !appShell.match || appShell.match.some(pattern => matchesPattern(pattern, url));
+}
+
+/**
+ * App shell response. Streams the cached header, the content partial and the
+ * cached footer. The partial is downloaded and cached, and served from the
+ * cache when offline. With the navigation preload, the preload response is
+ * the partial: the server answers with it when it gets the preload header.
+ * Resolves with nothing when the header or the footer are not cached, so the
+ * navigation is handled as usual.
+ *
+ * @param {object} event
+ *
+ * @return {Promise}
+ */
+export function appShellResponse(event) {
+    var appShell = config.appShell;
+    var cacheKey = cacheName('content');
+    var partial  = new Request(partialUrl(event.request.url), { credentials: 'same-origin' });
+    var content  = fetchFromNetwork(partial, 'content', event.preloadResponse)
+        .then(response => addToCache(cacheKey, partial, response))
+        .catch(() => fetchFromCache(partial, cacheKey))
+        .catch(() => new Response(appShell.offlineContent || ''));
+
+    return Promise.all([shellPart(appShell.header), shellPart(appShell.footer)])
+    .then(parts => {
+        var stream;
+
+        if (!parts[0] || !parts[1]) {
+            return null;
+        }
+
+        stream = streamResponses([parts[0], content, parts[1]]);
+        event.waitUntil(stream.done);
+
+        return new Response(stream.body, {
+            headers: { 'Content-Type': 'text/html; charset=utf-8' }
+        });
+    });
+}
+
+/**
+ * Get the URL of the content partial of a navigation, from the partialUrl
+ * template. {pathname} and {search} are replaced with the pathname and the
+ * query string (with ?) of the navigation.
+ *
+ * @param {string} url
+ *
+ * @return {string}
+ */
+export function partialUrl(url) {
+    var navigation = new URL(url);
+
+    return requestUrl(config.appShell.partialUrl
+        .replace('{pathname}', navigation.pathname)
+        .replace('{search}', navigation.search));
+}
+
+/**
+ * Get the cached response of an app shell part. The parts are precached with
+ * the offline fallbacks.
+ *
+ * @param {string} url
+ *
+ * @return {Promise} Resolves with the response, if any.
+ */
+function shellPart(url) {
+    var entry = getOfflineEntries().find(entry => entry.url === requestUrl(url));
+
+    return caches.match(entry.cacheKey, { cacheName: globalConfig.precache.cache })
+    .then(response => response || caches.match(url));
+}
+
+/**
+ * Concatenate the bodies of a list of responses in a stream. Each response
+ * is streamed as soon as the previous ones are complete.
+ *
+ * @param {Array} responses Responses or promises of responses.
+ *
+ * @return {object} The stream body and a done promise.
+ */
+function streamResponses(responses) {
+    var done;
+    var body = new ReadableStream({
+        start: controller => {
+            done = responses.reduce((previous, response) => {
+                return previous
+                .then(() => response)
+                .then(part => part.body && pipe(part.body.getReader(), controller));
+            }, Promise.resolve())
+            .then(() => controller.close())
+            .catch(error => controller.error(error));
+        }
+    });
+
+    return { body: body, done: done };
+}
+
+/**
+ * Enqueue the chunks of a stream reader in a stream.
+ *
+ * @param {object} reader
+ * @param {object} controller
+ *
+ * @return {Promise}
+ */
+function pipe(reader, controller) {
+    return reader.read()
+    .then(result => {
+        if (result.done) {
+            return undefined;
+        }
+
+        controller.enqueue(result.value);
+
+        return pipe(reader, controller);
+    });
+}
@@ -0,0 +1,69 @@
+/**
+ * Network conditions of the pages and policies for constrained connections.
+ */
+
+import { config, globalConfig, isRegExp } from './config.js';
+
+/**
+ * Get the network conditions of a request: the connection sent by the pages,
+ * updated with the Save-Data header of the request. The connection is
+ * constrained when it exceeds one of the network thresholds of the
+ * configuration.
+ *
+ * @param {object} request
+ *
+ * @return {object} saveData, effectiveType, rtt, downlink, deviceMemory and
+ *     constrained.
+ */
+export function getNetworkProfile(request) {
+    var thresholds = config.network;
+    var profile    = Object.assign({
+        saveData     : false,
+        effectiveType: null,
+        rtt          : null,
+        downlink     : null,
+        deviceMemory : null
+    }, globalConfig.network.profile);
+
+    if (request && 'on' === request.headers.get('save-data')) {
+        profile.saveData = true;
+    }
+
+    profile.constrained = (
+        profile.saveData
+        || thresholds.slowEffectiveTypes.includes(profile.effectiveType)
+        || (null !== profile.rtt && profile.rtt > thresholds.maxRtt)
+        || (null !== profile.downlink && profile.downlink <= thresholds.minDownlink)
+        || (null !== profile.deviceMemory && profile.deviceMemory < thresholds.minDeviceMemory)
+    );
+
+    return profile;
+}
+
+/**
+ * Get a fetch event for the low quality variant of an image, when it matches
+ * one of the image variants for constrained connections.
+ *
+ * @param {object} event
+ *
+ * @return {object}
+ */
+export function imageVariantEvent(event) {
+    var request = event.request;
+    var variant = config.network.constrained.imageVariants.find(variant => {
+        return isRegExp(variant.match) ? variant.match.test(request.url) : -1 !== request.url.indexOf(variant.match);
+    });
+
+    if (!variant) {
+        return event;
+    }
+
+    return {
+        request: new Request(request.url.replace(variant.match, variant.replace), {
+            headers    : request.headers,
+            mode       : request.mode,
+            credentials: request.credentials
+        }),
+        waitUntil: promise => event.waitUntil(promise)
+    };
+}
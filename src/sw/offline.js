@@ -0,0 +1,146 @@
+/**
+ * Offline responses and fallbacks.
+ */
+
+import { config, globalConfig } from './config.js';
+import { matchesPattern, requestUrl } from './router.js';
+
+/**
+ * Offline response. The first offline fallback matching the request URL and
+ * destination is used:
+ *   - Configured fallbacks, in order.
+ *   - The offline page for documents and the offline image for images.
+ *   - A 503 JSON response with { offline: true } for API and JSON requests.
+ * Requests without fallback get an empty 503 response.
+ *
+ * @param {object} request
+ * @param {string} resourceType
+ *
+ * @return {Promise}
+ */
+export function offlineResponse(request, resourceType) {
+    var offline     = config.offline || {};
+    var url         = new URL(request.url);
+    var destination = requestDestination(request, resourceType);
+    var fallbacks   = (offline.fallbacks || []).filter(fallback => {
+        return (!fallback.match || matchesPattern(fallback.match, url))
+            && (!fallback.destination || fallback.destination === destination);
+    });
+
+    if (offline.page && 'document' === destination) {
+        fallbacks.push({ url: offline.page });
+    }
+
+    if (offline.image && 'image' === destination) {
+        fallbacks.push({ body: offline.image, contentType: 'image/svg+xml' });
+    }
+
+    if ('json' === destination) {
+        fallbacks.push({ json: { offline: true }, status: 503 });
+    }
+
+    return fallbacks
+    .reduce((found, fallback) => found.then(response => response || fallbackResponse(fallback)), Promise.resolve())
+    .then(response => response || new Response('', {
+        status    : 503,
+        statusText: 'Offline'
+    }));
+}
+
+/**
+ * Get the response of an offline fallback. Fallback URLs are served from the
+ * precache or any other cache.
+ *
+ * @param {object} fallback
+ *
+ * @return {Promise} Resolves with the response, if any.
+ */
+function fallbackResponse(fallback) {
+    var entry;
+
+    if (fallback.url) {
+        entry = getOfflineEntries().find(entry => entry.url === requestUrl(fallback.url));
+
+        return caches.match(entry.cacheKey, { cacheName: globalConfig.precache.cache })
+        .then(response => response || caches.match(fallback.url));
+    }
+
+    if (fallback.json) {
+        return Promise.resolve(new Response(JSON.stringify(fallback.json), {
+            status    : fallback.status || 503,
+            statusText: 'Offline',
+            headers   : { 'Content-Type': 'application/json' }
+        }));
+    }
+
+    return Promise.resolve(new Response(fallback.body || null, {
+        status : fallback.status || 200,
+        headers: { 'Content-Type': fallback.contentType || 'text/plain' }
+    }));
+}
+
+/**
+ * Get the precache entries of the offline fallback URLs and the app shell
+ * parts. They are downloaded again by every Service Worker version.
+ *
+ * @return {Array}
+ */
+export function getOfflineEntries() {
+    var offline  = config.offline || {};
+    var appShell = config.appShell;
+    var urls     = (offline.fallbacks || [])
+        .filter(fallback => fallback.url)
+        .map(fallback => requestUrl(fallback.url));
+
+    if (offline.page) {
+        urls.push(requestUrl(offline.page));
+    }
+
+    if (appShell.enabled) {
+        [appShell.header, appShell.footer]
+        .filter(url => url)
+        .forEach(url => urls.push(requestUrl(url)));
+    }
+
+    return urls
+    .filter((url, index) => index === urls.indexOf(url))
+    .map(url => {
+        var cacheKey = new URL(url);
+
+        cacheKey.searchParams.set('__sw-revision', globalConfig.version);
+
+        return {
+            url     : url,
+            revision: globalConfig.version,
+            cacheKey: cacheKey.href
+        };
+    });
+}
+
+/**
+ * Get the destination of a request for the offline fallbacks: document,
+ * image, font, audio, video, script, style, json or an empty string.
+ * API requests are json, like fetch() calls with the default Accept header.
+ *
+ * @param {object} request
+ * @param {string} resourceType
+ *
+ * @return {string}
+ */
+function requestDestination(request, resourceType) {
+    var accept = request.headers.get('Accept') || '';
+
+    if (request.destination) {
+        return request.destination;
+    }
+
+    if ('navigate' === request.mode || 'content' === resourceType) {
+        return 'document';
+    }
+
+    if ('image' === resourceType) {
+        return 'image';
+    }
+
+    return ('api' === resourceType || /\bjson\b/.test(accept)) ? 'json' : '';
+}
@@ -0,0 +1,147 @@
+/**
+ * Precache. Elements downloaded when the Service Worker is installed.
+ */
+
+import { globalConfig } from './config.js';
+import { transformHtml } from './html.js';
+import { requestUrl } from './router.js';
+
+/**
+ * Delete the precached elements that are not in the manifest.
+ *
+ * @param {Array} entries
+ *
+ * @return {Promise}
+ */
+export function cleanPrecache(entries) {
+    var cacheKeys = entries.map(entry => entry.cacheKey);
+
+    return caches.open(globalConfig.precache.cache)
+    .then(cache => {
+        return cache.keys()
+        .then(keys => {
+            return Promise.all(keys
+                .filter(key => !cacheKeys.includes(key.url))
+                .map(key => cache.delete(key))
+            );
+        });
+    });
+}
+
+/**
+ * Get a precached element. Download it if it is not in the precache.
+ * The HTML transformations are applied to the precached pages.
+ *
+ * @param {object} request
+ *
+ * @return {Promise}
+ */
+export function fetchFromPrecache(request) {
+    var url   = requestUrl(request);
+    var entry = getPrecacheEntries().find(entry => entry.url === url);
+
+    return caches.open(globalConfig.precache.cache)
+    .then(cache => cache.match(entry.cacheKey))
+    .then(response => response || fetch(request))
+    .then(response => transformHtml(response));
+}
+
+/**
+ * Get the precache manifest entries.
+ * Each entry is stored with its revision in the cache key, so a new revision
+ * does not replace the one in use until the new Service Worker is activated.
+ *
+ * @return {Array}
+ */
+export function getPrecacheEntries() {
+    if (globalConfig.precache.entries) {
+        return globalConfig.precache.entries;
+    }
+
+    globalConfig.precache.entries = globalConfig.precache.manifest.map(entry => {
+        if ('string' === typeof entry) {
+            entry = { url: entry };
+        }
+
+        var url      = requestUrl(entry.url);
+        var cacheKey = new URL(url);
+
+        if (entry.revision) {
+            cacheKey.searchParams.set('__sw-revision', entry.revision);
+        }
+
+        return {
+            url     : url,
+            revision: entry.revision || null,
+            cacheKey: cacheKey.href
+        };
+    });
+
+    return globalConfig.precache.entries;
+}
+
+/**
+ * Check if a request is in the precache manifest.
+ *
+ * @param {object} request
+ *
+ * @return {boolean}
+ */
+export function isPrecached(request) {
+    if ('GET' !== request.method) {
+        return false;
+    }
+
+    var url = requestUrl(request);
+
+    return getPrecacheEntries().some(entry => entry.url === url);
+}
+
+/**
+ * Set the precache manifest, replacing self.__precacheManifest. Used by the
+ * workers built with their manifest.
+ *
+ * @param {Array} manifest Elements with url and revision.
+ */
+export function setPrecacheManifest(manifest) {
+    globalConfig.precache.manifest = manifest;
+    globalConfig.precache.entries  = null;
+}
+
+/**
+ * Download the precache manifest elements.
+ * Only the elements whose revision is not already cached are downloaded, and
+ * nothing is saved unless all of them succeed.
+ *
+ * @param {Array} entries
+ *
+ * @return {Promise}
+ */
+export function precache(entries) {
+    return caches.open(globalConfig.precache.cache)
+    .then(cache => {
+        return Promise.all(entries.map(entry => {
+            return cache.match(entry.cacheKey)
+            .then(cached => {
+                if (cached) {
+                    return null;
+                }
+
+                return fetch(new Request(entry.url, { cache: 'reload', credentials: 'same-origin' }))
+                .then(response => {
+                    if (!response.ok) {
+                        throw Error(entry.url + ' could not be precached');
+                    }
+
+                    return { cacheKey: entry.cacheKey, response: response };
+                });
+            });
+        }))
+        .then(downloads => {
+            return Promise.all(downloads
+                .filter(download => download)
+                .map(download => cache.put(download.cacheKey, download.response))
+            );
+        });
+    });
+}
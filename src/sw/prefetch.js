@@ -0,0 +1,205 @@
+/**
+ * Prefetch scheduler and navigation predictions.
+ */
+
+import { cacheName, config, globalConfig } from './config.js';
+import { idbRequest, openStore } from './idb.js';
+import { addToCache, fetchFromCache } from './cache.js';
+
+/**
+ * Get the navigation history IndexedDB store.
+ *
+ * @param {string} mode
+ *
+ * @return {Promise}
+ */
+function getNavigationStore(mode) {
+    return openStore(globalConfig.navigation, mode, database => {
+        database
+        .createObjectStore(globalConfig.navigation.store, { keyPath: ['from', 'to'] })
+        .createIndex('from', 'from');
+    });
+}
+
+/**
+ * Get the pages most visited after a page, according to the navigation
+ * history.
+ *
+ * @param {string} url
+ *
+ * @return {Promise} Resolves with the URLs of the pages.
+ */
+export function getPredictions(url) {
+    return getNavigationStore('readonly')
+    .then(store => idbRequest(store.index('from').getAll(url.split('#')[0])))
+    .then(transitions => transitions
+        .sort((a, b) => b.count - a.count)
+        .slice(0, config.prefetch.predictions)
+        .map(transition => transition.to)
+    );
+}
+
+/**
+ * Prefetch the URLs that are most likely to be visited by the user.
+ * URLs already cached or queued are not downloaded again. The rest are
+ * queued and downloaded a few at a time, within the budget of the page
+ * session.
+ *
+ * @param {Array} urls
+ * @param {object} options priority (high or low) and session.
+ *
+ * @return {Promise} Resolves with the URL and status of each prefetch: the
+ *     response status, or cached, budget, cancelled or error.
+ */
+export function prefetch(urls, options) {
+    var scheduler = globalConfig.prefetch;
+
+    if (!config.prefetch.enabled) {
+        return Promise.resolve([]);
+    }
+
+    return Promise.all(urls
+        .filter(url => undefined !== url)
+        .map(url => {
+            url = new URL(url, self.location.href).href;
+
+            if (scheduler.inFlight[url]) {
+                return scheduler.inFlight[url];
+            }
+
+            return fetchFromCache(new Request(url), cacheName('content'))
+            .then(
+                () => ({ url: url, status: 'cached' }),
+                () => scheduler.inFlight[url] || schedulePrefetch(url, options || {})
+            );
+        })
+    );
+}
+
+/**
+ * Add a URL to the prefetch queue.
+ *
+ * @param {string} url
+ * @param {object} options priority (high or low) and session.
+ *
+ * @return {Promise} Resolves with the prefetch result.
+ */
+function schedulePrefetch(url, options) {
+    var scheduler = globalConfig.prefetch;
+    var item      = {
+        url     : url,
+        priority: ('high' === options.priority) ? 1 : 0,
+        session : options.session || ''
+    };
+    var index     = scheduler.queue.findIndex(queued => queued.priority < item.priority);
+
+    scheduler.inFlight[url] = new Promise(resolve => {
+        item.resolve = resolve;
+    })
+    .then(result => {
+        delete scheduler.inFlight[url];
+
+        return result;
+    });
+
+    scheduler.queue.splice(-1 === index ? scheduler.queue.length : index, 0, item);
+    runPrefetchQueue();
+
+    return scheduler.inFlight[url];
+}
+
+/**
+ * Download the queued prefetches while there are free downloads.
+ * Prefetches of sessions that used up their budget are discarded.
+ */
+function runPrefetchQueue() {
+    var scheduler = globalConfig.prefetch;
+    var item;
+    var budget;
+
+    while (scheduler.active < config.prefetch.concurrency && scheduler.queue.length) {
+        item   = scheduler.queue.shift();
+        budget = scheduler.sessions[item.session] = scheduler.sessions[item.session] || { requests: 0, bytes: 0 };
+
+        if (budget.requests >= config.prefetch.maxRequests || budget.bytes >= config.prefetch.maxBytes) {
+            item.resolve({ url: item.url, status: 'budget' });
+            continue;
+        }
+
+        scheduler.active++;
+        budget.requests++;
+        downloadPrefetch(item, budget);
+    }
+}
+
+/**
+ * Download and cache a prefetch, and continue with the queue.
+ *
+ * @param {object} item
+ * @param {object} budget Requests and bytes of the session.
+ */
+function downloadPrefetch(item, budget) {
+    var scheduler = globalConfig.prefetch;
+
+    fetch(item.url)
+    .then(response => response.clone().blob()
+        .then(blob => {
+            budget.bytes += blob.size;
+            addToCache(cacheName('content'), item.url, response);
+
+            return { url: item.url, status: response.status };
+        })
+    )
+    .catch(() => ({ url: item.url, status: 'error' }))
+    .then(result => {
+        scheduler.active--;
+        item.resolve(result);
+        runPrefetchQueue();
+    });
+}
+
+/**
+ * Cancel the queued prefetches of a page session, or all of them. The
+ * downloads already started are not cancelled.
+ *
+ * @param {string} session
+ *
+ * @return {Promise} Resolves with the cancelled URLs.
+ */
+export function cancelPrefetch(session) {
+    var scheduler = globalConfig.prefetch;
+    var cancelled = scheduler.queue.filter(item => undefined === session || item.session === session);
+
+    scheduler.queue = scheduler.queue.filter(item => -1 === cancelled.indexOf(item));
+    cancelled.forEach(item => item.resolve({ url: item.url, status: 'cancelled' }));
+
+    return Promise.resolve(cancelled.map(item => item.url));
+}
+
+/**
+ * Count a navigation between two pages of the website in the navigation
+ * history.
+ *
+ * @param {object} request Navigation request.
+ *
+ * @return {Promise}
+ */
+export function recordNavigation(request) {
+    var from = request.referrer.split('#')[0];
+    var to   = request.url.split('#')[0];
+
+    if (!from || from === to || new URL(from).origin !== self.location.origin || new URL(to).origin !== self.location.origin) {
+        return Promise.resolve();
+    }
+
+    return getNavigationStore('readwrite')
+    .then(store => idbRequest(store.get([from, to]))
+        .then(transition => idbRequest(store.put({
+            from     : from,
+            to       : to,
+            count    : (transition ? transition.count : 0) + 1,
+            timestamp: Date.now()
+        })))
+    )
+    .catch(error => console.error('IndexedDB error:', error));
+}
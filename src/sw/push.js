@@ -0,0 +1,155 @@
+/**
+ * Push notifications. Shows the notifications sent by the backend, opens
+ * their URL when they are clicked and reports their clicks and closes.
+ */
+
+import { config } from './config.js';
+import { requestUrl } from './router.js';
+import { queueFetch } from './queue.js';
+import { hasConsent, restoreConfig } from './settings.js';
+
+/**
+ * Push event. Shows a notification from the JSON payload:
+ *   - title. Defaults to push.title.
+ *   - body, icon and tag. The icon defaults to push.icon.
+ *   - url. Page opened when the notification is clicked.
+ *   - actions. Buttons with action, title, icon and the url they open.
+ * Payloads that are not JSON are shown as the body.
+ * A push usually starts the Service Worker, so the saved configuration is
+ * restored first.
+ *
+ * @param {object} event
+ */
+export function onPush(event) {
+    var payload = pushPayload(event.data);
+    var actions = payload.actions || [];
+
+    event.waitUntil(
+        restoreConfig()
+        .then(() => self.registration.showNotification(payload.title || config.push.title || '', {
+            body   : payload.body,
+            icon   : payload.icon || config.push.icon,
+            badge  : config.push.badge,
+            tag    : payload.tag,
+            actions: actions.map(action => ({
+                action: action.action,
+                title : action.title,
+                icon  : action.icon
+            })),
+            data   : {
+                url    : payload.url,
+                tag    : payload.tag,
+                actions: actions.reduce((urls, action) => {
+                    urls[action.action] = action.url;
+
+                    return urls;
+                }, {})
+            }
+        }))
+    );
+}
+
+/**
+ * Notification click event. Focuses the page of the notification or action
+ * URL when it is already open, or opens it.
+ *
+ * @param {object} event
+ */
+export function onNotificationClick(event) {
+    var notification = event.notification;
+    var data         = notification.data || {};
+    var url          = (event.action && data.actions && data.actions[event.action]) || data.url;
+
+    notification.close();
+
+    event.waitUntil(
+        restoreConfig()
+        .then(() => Promise.all([
+            url ? openPage(requestUrl(url)) : Promise.resolve(),
+            reportNotification('click', notification, event.action)
+        ]))
+    );
+}
+
+/**
+ * Notification close event.
+ *
+ * @param {object} event
+ */
+export function onNotificationClose(event) {
+    event.waitUntil(
+        restoreConfig()
+        .then(() => reportNotification('close', event.notification))
+    );
+}
+
+/**
+ * Get the payload of a push message.
+ *
+ * @param {object} data PushMessageData.
+ *
+ * @return {object}
+ */
+function pushPayload(data) {
+    if (!data) {
+        return {};
+    }
+
+    try {
+        return data.json() || {};
+    } catch (error) {
+        return { body: data.text() };
+    }
+}
+
+/**
+ * Focus the window with a URL, or open it.
+ *
+ * @param {string} url
+ *
+ * @return {Promise}
+ */
+function openPage(url) {
+    return self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+    .then(windows => {
+        var open = windows.find(client => client.url === url);
+
+        return open ? open.focus() : self.clients.openWindow(url);
+    });
+}
+
+/**
+ * Report a notification event to push.analyticsUrl, with analytics consent.
+ * The reports are sent through the offline queue, so they are retried when
+ * there is no connection.
+ *
+ * @param {string} type click or close.
+ * @param {object} notification
+ * @param {string} action Clicked action.
+ *
+ * @return {Promise}
+ */
+function reportNotification(type, notification, action) {
+    var data = notification.data || {};
+
+    if (!config.push.analyticsUrl || !config.analytics.enabled || !hasConsent('analytics')) {
+        return Promise.resolve();
+    }
+
+    return queueFetch(new Request(requestUrl(config.push.analyticsUrl), {
+        method     : 'POST',
+        headers    : { 'Content-Type': 'application/json' },
+        credentials: 'same-origin',
+        body       : JSON.stringify({
+            type     : type,
+            tag      : data.tag || notification.tag || null,
+            action   : action || null,
+            url      : data.url || null,
+            timestamp: Date.now()
+        })
+    }), {
+        provider: 'notifications',
+        maxTime : config.analytics.maxTime
+    })
+    .catch(error => console.error('Notification report error:', error));
+}
@@ -0,0 +1,374 @@
+/**
+ * Offline queue. Requests sent without connection, analytics included, are
+ * saved to IndexedDB and replayed later.
+ */
+
+import { config, globalConfig, mergeDeep } from './config.js';
+import { idbRequest, openStore } from './idb.js';
+import { matchesPattern } from './router.js';
+import { offlineResponse } from './offline.js';
+import { hasConsent } from './settings.js';
+import { sendMessage } from './events.js';
+
+// Analytics providers whose requests are retried when they fail.
+//   - hosts. Provider domains. Any domain when empty.
+//   - paths. Request paths.
+//   - queueTime. Parameter added to the retried requests with the time they
+//     were queued: the delay in milliseconds or the original timestamp in
+//     seconds. Added to form bodies (auto) or to the URL.
+var analyticsProviders = {
+    'google-analytics': {
+        hosts: ['www.google-analytics.com', 'ssl.google-analytics.com'],
+        paths: ['/collect', '/r/collect', '/j/collect'],
+        // https://developers.google.com/analytics/devguides/collection/protocol/v1/parameters#qt
+        queueTime: { param: 'qt', value: 'delay', target: 'auto' }
+    },
+    ga4: {
+        hosts: ['region1.google-analytics.com', 'www.google-analytics.com', 'analytics.google.com'],
+        paths: ['/g/collect'],
+        queueTime: { param: 'qt', value: 'delay', target: 'url' }
+    },
+    matomo: {
+        hosts: [],
+        paths: ['/matomo.php', '/piwik.php'],
+        // https://developer.matomo.org/api-reference/tracking-api#other-parameters-require-authentication-via-token_auth
+        queueTime: { param: 'cdt', value: 'timestamp', target: 'auto' }
+    },
+    plausible: {
+        hosts: ['plausible.io'],
+        paths: ['/api/event'],
+        // The Events API does not accept the event time.
+        queueTime: null
+    }
+};
+
+/**
+ * Delete the queued analytics requests.
+ *
+ * @return {Promise}
+ */
+export function dropAnalyticsQueue() {
+    return getQueueStore('readwrite')
+    .then(store => idbRequest(store.getAll())
+        .then(entries => Promise.all(entries
+            .filter(entry => entry.provider)
+            .map(entry => idbRequest(store.delete(entry.id)))
+        ))
+    )
+    .then(deleted => deleted.length && notifyQueueChanged())
+    .catch(error => console.error('Queue error:', error));
+}
+
+/**
+ * Find the analytics provider of a URL.
+ *
+ * @param {URL} url
+ *
+ * @return {object|undefined}
+ */
+export function findAnalyticsProvider(url) {
+    return getAnalyticsProviders().find(provider => {
+        return (!provider.hosts.length || provider.hosts.includes(url.hostname))
+            && provider.paths.includes(url.pathname);
+    });
+}
+
+/**
+ * Find the first queue route matching a request.
+ * Only requests with side effects (non-GET) can be queued.
+ *
+ * @param {object} request
+ *
+ * @return {object|undefined}
+ */
+export function findQueueRoute(request) {
+    if (!config.queue.routes || ['GET', 'HEAD'].includes(request.method)) {
+        return undefined;
+    }
+
+    var url = new URL(request.url);
+
+    return config.queue.routes.find(route => {
+        return (!route.methods || route.methods.includes(request.method))
+            && matchesPattern(route.match, url);
+    });
+}
+
+/**
+ * Get the configured analytics providers.
+ * Providers are given by name or as objects, which can override the
+ * definition of a known provider or define a new one.
+ *
+ * @return {Array}
+ */
+function getAnalyticsProviders() {
+    return (config.analytics.providers || [])
+    .map(provider => {
+        if ('string' === typeof provider) {
+            provider = { name: provider };
+        }
+
+        return mergeDeep(
+            mergeDeep({ hosts: [], paths: [], queueTime: null }, analyticsProviders[provider.name] || {}),
+            provider
+        );
+    });
+}
+
+/**
+ * Get the queued requests, without their bodies.
+ *
+ * @return {Promise}
+ */
+export function getQueue() {
+    return getQueueStore('readonly')
+    .then(store => idbRequest(store.getAll()))
+    .then(entries => entries.map(entry => ({
+        id       : entry.id,
+        method   : entry.method,
+        url      : entry.url,
+        provider : entry.provider || null,
+        timestamp: entry.timestamp,
+        retries  : entry.retries
+    })));
+}
+
+/**
+ * Get the queued requests IndexedDB store.
+ *
+ * @param {string} mode
+ *
+ * @return {Promise}
+ */
+function getQueueStore(mode) {
+    return openStore(globalConfig.queue, mode, database => {
+        database.createObjectStore(globalConfig.queue.store, { keyPath: 'id', autoIncrement: true });
+    });
+}
+
+/**
+ * Check if a queued request has a form encoded body, like the ones sent by
+ * navigator.sendBeacon().
+ *
+ * @param {object} entry
+ *
+ * @return {boolean}
+ */
+function isFormBody(entry) {
+    var contentType = entry.headers.find(header => 'content-type' === header[0]);
+
+    return !!(entry.body && entry.body.byteLength && contentType)
+        && /(x-www-form-urlencoded|text\/plain)/.test(contentType[1]);
+}
+
+/**
+ * Save a request to the queue and schedule its replay.
+ *
+ * @param {object} request
+ * @param {ArrayBuffer|null} body
+ * @param {object} route Queue route or analytics provider settings.
+ *
+ * @return {Promise}
+ */
+function queueRequest(request, body, route) {
+    var headers = [];
+
+    request.headers.forEach((value, name) => headers.push([name, value]));
+
+    return getQueueStore('readwrite')
+    .then(store => idbRequest(store.add({
+        method    : request.method,
+        url       : request.url,
+        headers   : headers,
+        body      : body,
+        provider  : route.provider,
+        timestamp : Date.now(),
+        retries   : 0,
+        maxRetries: undefined !== route.maxRetries ? route.maxRetries : config.queue.maxRetries,
+        maxTime   : route.maxTime || config.queue.maxTime
+    })))
+    .then(() => {
+        if (self.registration.sync) {
+            return self.registration.sync.register(globalConfig.queue.syncTag)
+            .catch(() => {});
+        }
+    })
+    .then(() => notifyQueueChanged());
+}
+
+/**
+ * Send a request that will be queued if there is no connection.
+ * Queued requests get a 202 response, or the offline page for navigations.
+ *
+ * @param {object} request
+ * @param {object} route Queue route or analytics provider settings.
+ *
+ * @return {Promise}
+ */
+export function queueFetch(request, route) {
+    var body = ['GET', 'HEAD'].includes(request.method)
+        ? Promise.resolve(null)
+        : request.clone().arrayBuffer();
+
+    return fetch(request)
+    .catch(error => {
+        return body
+        .then(body => queueRequest(request, body, route))
+        .then(() => {
+            if ('navigate' === request.mode) {
+                return offlineResponse(request, 'content');
+            }
+        })
+        .then(response => (response && response.ok) ? response : new Response(JSON.stringify({ queued: true }), {
+            status    : 202,
+            statusText: 'Queued',
+            headers   : { 'Content-Type': 'application/json' }
+        }))
+        .catch(() => {
+            throw error;
+        });
+    });
+}
+
+/**
+ * Rebuild a queued request.
+ * Analytics requests include the time they were queued.
+ *
+ * @param {object} entry
+ *
+ * @return {Request}
+ */
+function queuedRequest(entry) {
+    var provider  = entry.provider && getAnalyticsProviders().find(provider => provider.name === entry.provider);
+    var queueTime = provider && provider.queueTime;
+    var url       = new URL(entry.url);
+    var body      = entry.body;
+    var value;
+
+    if (queueTime) {
+        value = ('timestamp' === queueTime.value)
+            ? Math.round(entry.timestamp / 1000)
+            : Date.now() - entry.timestamp;
+
+        if ('auto' === queueTime.target && isFormBody(entry)) {
+            body = new URLSearchParams(new TextDecoder().decode(body));
+            body.set(queueTime.param, value);
+            body = body.toString();
+        } else {
+            url.searchParams.set(queueTime.param, value);
+        }
+    }
+
+    return new Request(url.href, {
+        method     : entry.method,
+        headers    : entry.headers,
+        body       : body,
+        credentials: 'same-origin'
+    });
+}
+
+/**
+ * Notify the pages that the queue has changed.
+ *
+ * @return {Promise}
+ */
+function notifyQueueChanged() {
+    return getQueue()
+    .then(requests => sendMessage('queueChanged', { requests: requests }))
+    .catch(() => {});
+}
+
+/**
+ * Replay the queued requests in order.
+ *   - Expired requests, requests without retries left and analytics
+ *     requests without consent are discarded.
+ *   - Requests answered by the server are removed, unless it is a 5xx error,
+ *     which counts as a retry.
+ *   - Replay stops at the first network error, which does not count.
+ *
+ * @return {Promise} Resolves with the number of sent and pending requests.
+ */
+export function replayQueue() {
+    var result = { sent: 0, pending: 0 };
+
+    function replay(entries) {
+        var entry = entries.shift();
+
+        if (!entry) {
+            return Promise.resolve();
+        }
+
+        if (
+            (Date.now() - entry.timestamp) > (entry.maxTime || config.queue.maxTime)
+            || entry.retries >= entry.maxRetries
+            || (entry.provider && !hasConsent('analytics'))
+        ) {
+            return removeQueued(entry).then(() => replay(entries));
+        }
+
+        return fetch(queuedRequest(entry))
+        .then(response => {
+            // Server errors are retried in the next replay.
+            if (500 <= response.status) {
+                result.pending++;
+
+                return retryLater(entry).then(() => replay(entries));
+            }
+
+            result.sent++;
+
+            return removeQueued(entry).then(() => replay(entries));
+        }, () => {
+            // The entry is kept unchanged while offline.
+            result.pending += entries.length + 1;
+        });
+    }
+
+    function retryLater(entry) {
+        entry.retries++;
+
+        return getQueueStore('readwrite')
+        .then(store => idbRequest(store.put(entry)));
+    }
+
+    // Avoid sending the same requests twice.
+    if (globalConfig.queue.replaying) {
+        return globalConfig.queue.replaying;
+    }
+
+    globalConfig.queue.replaying = getQueueStore('readonly')
+    .then(store => idbRequest(store.getAll()))
+    .then(entries => {
+        if (!entries.length) {
+            return result;
+        }
+
+        return replay(entries)
+        .then(() => notifyQueueChanged())
+        .then(() => result);
+    })
+    .catch(error => {
+        console.error('Queue error:', error);
+
+        return result;
+    })
+    .then(result => {
+        globalConfig.queue.replaying = null;
+
+        return result;
+    });
+
+    return globalConfig.queue.replaying;
+}
+
+/**
+ * Remove a request from the queue.
+ *
+ * @param {object} entry
+ *
+ * @return {Promise}
+ */
+function removeQueued(entry) {
+    return getQueueStore('readwrite')
+    .then(store => idbRequest(store.delete(entry.id)));
+}
@@ -0,0 +1,453 @@
+/**
+ * Fetch router. Decides how each request is handled: custom fetch handlers,
+ * precache, offline queue, routes and the default strategy of each resource
+ * type.
+ */
+
+import { cacheName, config, globalConfig, isRegExp } from './config.js';
+import { getStrategy } from './strategies.js';
+import { fetchFromPrecache, isPrecached } from './precache.js';
+import { offlineResponse } from './offline.js';
+import { findAnalyticsProvider, findQueueRoute, queueFetch } from './queue.js';
+import { recordNavigation } from './prefetch.js';
+import { getNetworkProfile, imageVariantEvent } from './network.js';
+import { hasConsent, restoreConfig } from './settings.js';
+import { appShellResponse, isAppShellNavigation } from './navigation.js';
+
+// Function that overrides the resource type of the requests.
+// See registerClassifier().
+var classifier = null;
+
+// Functions that can respond to the requests before the router.
+// See registerFetchHandler().
+var fetchHandlers = [];
+
+/**
+ * URL fectch action.
+ * Custom fetch handlers:
+ *   - The first handler returning a response responds to the request.
+ * If should handle fetch:
+ *   - Precached elements, unless the cache is disabled. Fetch from precache
+ *     -> Download.
+ *   - App shell navigations. Cached header + Downloaded partial + Cached
+ *     footer.
+ *   - Matching route. Route strategy -> Offline response.
+ *   - HTML. Download -> Fetch from cache -> Offline response.
+ *   - Others. Fetch from cache -> Download -> Offline response.
+ * Queued requests (non-GET requests matching a queue route):
+ *   - Try request -> When error, save to IndexedDB -> Replay later.
+ * Analytics requests:
+ *   - Try requests -> When error, save to IndexedDB -> Retry later.
+ *
+ * @param {object} event
+ */
+export function onFetch(event) {
+    function shouldSaveData(event) {
+        if (!config.saveDataItems) {
+            return false;
+        }
+
+        var request = event.request;
+        var url     = request.url;
+
+        if (!getNetworkProfile(request).saveData) {
+            return false;
+        }
+
+        return config.saveDataItems.some(item => {
+            return url.includes(item);
+        });
+    }
+
+    function doFetch(event) {
+        var request      = event.request;
+        var resourceType = getResourceType(request);
+        var route        = findRoute(request);
+        var strategy;
+        var cacheKey;
+
+        if (!route) {
+            route = {
+                strategy: config.cache.strategies[resourceType] || 'cache-first'
+            };
+        }
+
+        strategy = route.strategy;
+        cacheKey = cacheName(route.cacheName || resourceType);
+
+        if (getNetworkProfile(request).constrained) {
+            // Cached responses are preferred to slow downloads.
+            if (config.network.constrained.cacheFirst && ['network-first', 'stale-while-revalidate'].includes(strategy)) {
+                strategy = 'cache-first';
+            }
+
+            if ('image' === resourceType) {
+                event = imageVariantEvent(event);
+            }
+        }
+
+        strategy = getStrategy(strategy);
+
+        return strategy(event, cacheKey, resourceType, route.options || {})
+            .catch(() => offlineResponse(request, resourceType));
+    }
+
+    function analyticsFetch(event, provider) {
+        return queueFetch(event.request, {
+            provider: provider.name,
+            maxTime : config.analytics.maxTime
+        });
+    }
+
+    function customFetch(event) {
+        var response;
+
+        fetchHandlers.some(handler => {
+            response = handler(event);
+
+            return !!response;
+        });
+
+        return response;
+    }
+
+    function handleFetch(event) {
+        var request  = event.request;
+        var response = customFetch(event);
+        var provider;
+        var queueRoute;
+
+        // The preload response must be consumed or waited for.
+        if (event.preloadResponse) {
+            event.waitUntil(Promise.resolve(event.preloadResponse).catch(() => {}));
+        }
+
+        if (response) {
+            return Promise.resolve(response);
+        }
+
+        // Navigation history for predictive prefetch.
+        if ('navigate' === request.mode && 'predictive' === config.prefetch.mode) {
+            event.waitUntil(recordNavigation(request));
+        }
+
+        if (shouldSaveData(event)) {
+            return Promise.resolve(new Response('', {
+                status    : 408,
+                statusText: 'Ignore request to save data.'
+            }));
+        }
+
+        provider = config.analytics.enabled && hasConsent('analytics') && findAnalyticsProvider(new URL(request.url));
+        if (provider) {
+            return analyticsFetch(event, provider);
+        }
+
+        queueRoute = findQueueRoute(request);
+        if (queueRoute) {
+            return queueFetch(request, queueRoute);
+        }
+
+        if (shouldHandleFetch(request)) {
+            if (config.cache.enabled && isPrecached(request)) {
+                return fetchFromPrecache(request);
+            }
+
+            if (isAppShellNavigation(request)) {
+                return appShellResponse(event)
+                .then(response => response || doFetch(event));
+            }
+
+            return doFetch(event);
+        }
+    }
+
+    if (globalConfig.settings.restored) {
+        var response = handleFetch(event);
+
+        if (response) {
+            event.respondWith(response);
+        }
+
+        return;
+    }
+
+    // The configuration is not restored yet after a Service Worker restart.
+    // The requests the router can not handle go to the network untouched.
+    if (couldHandleFetch(event.request)) {
+        event.respondWith(
+            restoreConfig()
+            .then(() => handleFetch(event) || fetch(event.request))
+        );
+    }
+}
+
+/**
+ * Check if a request could be handled before the configuration is restored:
+ * GET requests to the origin of the Service Worker or matching a route, and
+ * requests to the queue routes and the analytics providers. Any request
+ * when there are custom fetch handlers.
+ *
+ * @param {object} request
+ *
+ * @return {boolean}
+ */
+function couldHandleFetch(request) {
+    var url = new URL(request.url);
+
+    if (fetchHandlers.length) {
+        return true;
+    }
+
+    if ('GET' === request.method && (url.origin === self.location.origin || findRoute(request))) {
+        return true;
+    }
+
+    return !!(findQueueRoute(request) || findAnalyticsProvider(url));
+}
+
+/**
+ * Check if a request is handled by the routes and the caching strategies:
+ * GET requests to the origin of the Service Worker, or matching a route,
+ * not excluded by noCachePatterns or noCacheItems.
+ *
+ * @param {object} request
+ *
+ * @return {boolean}
+ */
+export function shouldHandleFetch(request) {
+    var url      = new URL(request.url);
+    var pathname = url.pathname;
+    var criteria = {
+        isSWjs        : new URL(self.location.href).pathname !== pathname,
+        isGETRequest  : 'GET' === request.method,
+        isFromMyOrigin: url.origin === self.location.origin || !!findRoute(request)
+    };
+
+    if (config.cache.noCachePatterns) {
+        criteria.matchesPathPattern = !config.cache.noCachePatterns.some(pattern => {
+            return pattern.test(pathname);
+        });
+    }
+
+    if (config.cache.noCacheItems) {
+        criteria.isNoCacheItem = !config.cache.noCacheItems.includes(pathname);
+    }
+
+    var failingCriteria = Object.keys(criteria)
+    .filter(criteriaKey => !criteria[criteriaKey]);
+
+    return !failingCriteria.length;
+}
+
+/**
+ * Find the first configured route matching a request.
+ *
+ * @param {object} request
+ *
+ * @return {object|undefined}
+ */
+export function findRoute(request) {
+    if (!config.cache.routes) {
+        return undefined;
+    }
+
+    var url = new URL(request.url);
+
+    return config.cache.routes.find(route => matchesPattern(route.match, url));
+}
+
+/**
+ * Get the resource type of a request, which is also its cache type:
+ *   - content. Navigations, frames and fetch() requests that accept HTML.
+ *   - image, font, script, style and media (audio, video and tracks).
+ *   - api. The rest of fetch() and XMLHttpRequest requests.
+ *   - static. Other destinations, like manifests.
+ * The registered classifier can override it.
+ *
+ * @param {object} request
+ *
+ * @return {string}
+ */
+export function getResourceType(request) {
+    var resourceType = requestResourceType(request);
+    var custom       = classifier && classifier(request, resourceType);
+
+    return ('string' === typeof custom && custom) ? custom : resourceType;
+}
+
+/**
+ * Get the resource type of a request from its mode, destination and Accept
+ * header. See getResourceType().
+ *
+ * @param {object} request
+ *
+ * @return {string}
+ */
+function requestResourceType(request) {
+    var accept = request.headers.get('Accept') || '';
+
+    if ('navigate' === request.mode) {
+        return 'content';
+    }
+
+    switch (request.destination) {
+        case 'document':
+        case 'frame':
+        case 'iframe':
+            return 'content';
+        case 'image':
+            return 'image';
+        case 'font':
+            return 'font';
+        case 'script':
+        case 'sharedworker':
+        case 'worker':
+            return 'script';
+        case 'style':
+            return 'style';
+        case 'audio':
+        case 'track':
+        case 'video':
+            return 'media';
+        case '':
+            break;
+        default:
+            return 'static';
+    }
+
+    // fetch() and XMLHttpRequest.
+    if (/\btext\/html\b/.test(accept)) {
+        return 'content';
+    }
+
+    if (/\bimage\//.test(accept)) {
+        return 'image';
+    }
+
+    return 'api';
+}
+
+/**
+ * Convert a glob into a regular expression. It is also used by the build
+ * tools to find the assets to precache.
+ *   - ** matches any folder, or any character at the end.
+ *   - * matches any character but /.
+ *   - ? matches a single character but /.
+ *   - {a,b} matches any of the alternatives.
+ *
+ * @param {string} glob
+ *
+ * @return {RegExp}
+ */
+export function globToRegExp(glob) {
+    var sources = expandBraces(glob).map(alternative => {
+        return alternative.split(/(\*\*\/?|\*|\?)/).map(part => {
+            switch (part) {
+                case '**/':
+                    return '(?:.*/)?';
+                case '**':
+                    return '.*';
+                case '*':
+                    return '[^/]*';
+                case '?':
+                    return '[^/]';
+                default:
+                    return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+            }
+        }).join('');
+    });
+
+    return new RegExp('^(?:' + sources.join('|') + ')$');
+}
+
+/**
+ * Expand the alternatives of a glob.
+ *
+ * @param {string} glob
+ *
+ * @return {Array}
+ */
+function expandBraces(glob) {
+    var match = /\{([^{}]*)\}/.exec(glob);
+
+    if (!match) {
+        return [glob];
+    }
+
+    return match[1].split(',').reduce((expanded, alternative) => {
+        return expanded.concat(expandBraces(glob.slice(0, match.index) + alternative + glob.slice(match.index + match[0].length)));
+    }, []);
+}
+
+/**
+ * Check if a URL matches a string, glob or regular expression.
+ * Patterns starting with a protocol are compared with the full URL and the
+ * rest with the pathname. Regular expressions are tested against both.
+ *
+ * @param {string|RegExp} pattern
+ * @param {URL} url
+ *
+ * @return {boolean}
+ */
+export function matchesPattern(pattern, url) {
+    if (isRegExp(pattern)) {
+        return pattern.test(url.pathname) || pattern.test(url.href);
+    }
+
+    if ('string' !== typeof pattern) {
+        return false;
+    }
+
+    var subject = /^[a-z]+:\/\//i.test(pattern) ? url.href : url.pathname;
+
+    if (!/[*?{]/.test(pattern)) {
+        return pattern === subject;
+    }
+
+    return globToRegExp(pattern).test(subject);
+}
+
+/**
+ * Get the absolute URL of a request or a string.
+ *
+ * @param {object|string} request
+ *
+ * @return {string}
+ */
+export function requestUrl(request) {
+    return new URL(request.url || request, self.location.href).href;
+}
+
+/**
+ * Register a function that overrides the resource type of the requests. It
+ * can be called from a script that imports the Service Worker.
+ *   - classifier(request, resourceType). Returns the resource type, or
+ *     nothing to keep the default one.
+ *
+ * @param {function} newClassifier
+ */
+export function registerClassifier(newClassifier) {
+    if ('function' !== typeof newClassifier) {
+        throw Error('The classifier must be a function');
+    }
+
+    classifier = newClassifier;
+}
+
+/**
+ * Register a function that can respond to the requests before the router,
+ * from a custom Service Worker. The handlers are called in registration
+ * order:
+ *   - handler(event). Returns a response or a promise of a response, or
+ *     nothing to let the next handler or the router respond.
+ *
+ * @param {function} handler
+ */
+export function registerFetchHandler(handler) {
+    if ('function' !== typeof handler) {
+        throw Error('The fetch handler must be a function');
+    }
+
+    fetchHandlers.push(handler);
+}
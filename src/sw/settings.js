@@ -0,0 +1,202 @@
+/**
+ * Configuration and consent persistence. The configuration sent by the pages
+ * is saved to IndexedDB and restored when the Service Worker restarts.
+ */
+
+import { config, configSchema, globalConfig, mergeDeep, serializeConfig, unserializeConfig, validateConfig } from './config.js';
+import { idbRequest, openStore } from './idb.js';
+import { trimCaches } from './expiration.js';
+import { precache } from './precache.js';
+import { getOfflineEntries } from './offline.js';
+import { dropAnalyticsQueue, replayQueue } from './queue.js';
+import { prefetch } from './prefetch.js';
+import { updateNavigationPreload } from './navigation.js';
+import { getNetworkProfile } from './network.js';
+
+/**
+ * Merge a configuration into the defaults, without saving it. Used by the
+ * workers built with their configuration. The configuration sent by the
+ * pages has priority.
+ * Invalid options are ignored and logged.
+ *
+ * @param {object} newConfig
+ *
+ * @return {Array} The configuration errors.
+ */
+export function configure(newConfig) {
+    var errors = [];
+
+    newConfig = validateConfig(unserializeConfig(newConfig || {}), configSchema, '', errors) || {};
+    errors.forEach(error => console.error('Configuration error:', error.message));
+
+    mergeDeep(config, newConfig);
+
+    return errors;
+}
+
+/**
+ * Get the configuration IndexedDB store.
+ *
+ * @param {string} mode
+ *
+ * @return {Promise}
+ */
+function getSettingsStore(mode) {
+    return openStore(globalConfig.settings, mode, database => {
+        database.createObjectStore(globalConfig.settings.store);
+    });
+}
+
+/**
+ * Check if the user consented a category. Categories without an answer are
+ * granted unless consent.required is set.
+ *
+ * @param {string} category
+ *
+ * @return {boolean}
+ */
+export function hasConsent(category) {
+    var consent = globalConfig.settings.consent;
+
+    if (category in consent) {
+        return consent[category];
+    }
+
+    return !config.consent.required;
+}
+
+/**
+ * Restore the configuration, the consent and the network profile saved to
+ * IndexedDB.
+ * The Service Worker can be stopped at any time, losing the configuration
+ * sent by the page.
+ *
+ * @return {Promise}
+ */
+export function restoreConfig() {
+    var settings = globalConfig.settings;
+
+    if (!settings.restoring) {
+        settings.restoring = getSettingsStore('readonly')
+        .then(store => Promise.all([
+            idbRequest(store.get('config')),
+            idbRequest(store.get('consent')),
+            idbRequest(store.get('network'))
+        ]))
+        .then(saved => {
+            settings.consent = saved[1] || {};
+            globalConfig.network.profile = saved[2] || null;
+            if (!saved[0]) {
+                return;
+            }
+
+            settings.userConfig = unserializeConfig(saved[0]);
+            mergeDeep(config, settings.userConfig);
+        })
+        .catch(error => console.error('IndexedDB error:', error))
+        .then(() => {
+            settings.restored = true;
+        });
+    }
+
+    return settings.restoring;
+}
+
+/**
+ * Save the configuration sent by the page to IndexedDB.
+ *
+ * @param {object} userConfig
+ *
+ * @return {Promise}
+ */
+function saveConfig(userConfig) {
+    return getSettingsStore('readwrite')
+    .then(store => idbRequest(store.put(serializeConfig(userConfig), 'config')))
+    .catch(error => console.error('IndexedDB error:', error));
+}
+
+/**
+ * Merge default configuration with user provided configuration.
+ * Invalid options are ignored and returned as errors.
+ * The user configuration is saved to be restored after a restart.
+ *
+ * @param {object} newConfig
+ *
+ * @return {Promise} Resolves with the configuration errors.
+ */
+export function setConfig(newConfig) {
+    var settings = globalConfig.settings;
+    var errors   = [];
+
+    newConfig = validateConfig(unserializeConfig(newConfig || {}), configSchema, '', errors) || {};
+
+    settings.userConfig = mergeDeep(settings.userConfig || {}, newConfig);
+    mergeDeep(config, newConfig);
+
+    saveConfig(settings.userConfig);
+
+    trimCaches();
+
+    updateNavigationPreload();
+
+    precache(getOfflineEntries()).catch(error => console.error('Precache error:', error));
+
+    if (config.prefetch.enabled && config.prefetch.items) {
+        prefetch(config.prefetch.items);
+    }
+
+    replayQueue();
+
+    return Promise.resolve({ errors: errors });
+}
+
+/**
+ * Save the consent categories granted or denied by the user. They are merged
+ * with the current ones.
+ * Revoking the analytics consent deletes the queued analytics requests.
+ *
+ * @param {object} newConsent Category: boolean.
+ *
+ * @return {Promise} Resolves with the current consent.
+ */
+export function setConsent(newConsent) {
+    var settings = globalConfig.settings;
+
+    Object.keys(newConsent || {}).forEach(category => {
+        if ('boolean' === typeof newConsent[category]) {
+            settings.consent[category] = newConsent[category];
+        }
+    });
+
+    return getSettingsStore('readwrite')
+    .then(store => idbRequest(store.put(settings.consent, 'consent')))
+    .catch(error => console.error('IndexedDB error:', error))
+    .then(() => hasConsent('analytics') ? replayQueue() : dropAnalyticsQueue())
+    .then(() => settings.consent);
+}
+
+/**
+ * Save the connection sent by a page. It is the same for all the pages, so
+ * the last one sent is the current one.
+ *
+ * @param {object} profile saveData, effectiveType, rtt, downlink and
+ *     deviceMemory. The constrained flag is computed by getNetworkProfile().
+ *
+ * @return {Promise} Resolves with the network profile.
+ */
+export function setNetworkProfile(profile) {
+    var connection = {};
+
+    ['saveData', 'effectiveType', 'rtt', 'downlink', 'deviceMemory'].forEach(key => {
+        if (profile && key in profile) {
+            connection[key] = profile[key];
+        }
+    });
+
+    globalConfig.network.profile = connection;
+
+    return getSettingsStore('readwrite')
+    .then(store => idbRequest(store.put(connection, 'network')))
+    .catch(error => console.error('IndexedDB error:', error))
+    .then(() => getNetworkProfile());
+}
@@ -0,0 +1,172 @@
+/**
+ * Cache strategies.
+ */
+
+import { addToCache, fetchFromCache } from './cache.js';
+import { transformHtml } from './html.js';
+
+/**
+ * Cache-first strategy. Fetch from cache -> Download.
+ *
+ * @param {object} event
+ * @param {string} cacheKey
+ * @param {string} resourceType
+ *
+ * @return {Promise}
+ */
+export function cacheFirst(event, cacheKey, resourceType) {
+    var request = event.request;
+
+    return fetchFromCache(request, cacheKey)
+    .catch(() => {
+        return fetchFromNetwork(request, resourceType, event.preloadResponse)
+        .then(response => addToCache(cacheKey, request, response));
+    });
+}
+
+/**
+ * Cache-only strategy. Fetch from cache.
+ *
+ * @param {object} event
+ * @param {string} cacheKey
+ *
+ * @return {Promise}
+ */
+export function cacheOnly(event, cacheKey) {
+    return fetchFromCache(event.request, cacheKey);
+}
+
+/**
+ * Download a request applying the HTML transformations to the content.
+ * API responses are transformed too when they are HTML, like the partials
+ * requested with fetch().
+ * The navigation preload response is used when available.
+ *
+ * @param {object} request
+ * @param {string} resourceType
+ * @param {Promise} preloadResponse The preloadResponse of the fetch event.
+ *
+ * @return {Promise}
+ */
+export function fetchFromNetwork(request, resourceType, preloadResponse) {
+    var network = Promise.resolve(preloadResponse)
+        .catch(() => null)
+        .then(response => response || fetch(request));
+
+    if (!['content', 'api'].includes(resourceType)) {
+        return network;
+    }
+
+    return network
+    .then(response => transformHtml(response));
+}
+
+/**
+ * Get a caching strategy by name. Unknown names fall back to cache-first.
+ * Custom strategies are functions with the same signature as the built-in
+ * ones: strategy(event, cacheKey, resourceType, options).
+ *
+ * @param {string|function} name
+ *
+ * @return {function}
+ */
+export function getStrategy(name) {
+    if ('function' === typeof name) {
+        return name;
+    }
+
+    switch (name) {
+        case 'network-first':
+            return networkFirst;
+        case 'stale-while-revalidate':
+            return staleWhileRevalidate;
+        case 'network-only':
+            return networkOnly;
+        case 'cache-only':
+            return cacheOnly;
+        case 'cache-first':
+            return cacheFirst;
+        default:
+            console.error('Unknown cache strategy:', name);
+
+            return cacheFirst;
+    }
+}
+
+/**
+ * Network-first strategy. Download -> Fetch from cache.
+ * Options:
+ *   - networkTimeoutSeconds. Use the cache if the network takes longer.
+ *
+ * @param {object} event
+ * @param {string} cacheKey
+ * @param {string} resourceType
+ * @param {object} options
+ *
+ * @return {Promise}
+ */
+export function networkFirst(event, cacheKey, resourceType, options) {
+    var request = event.request;
+    var network = fetchFromNetwork(request, resourceType, event.preloadResponse)
+        .then(response => addToCache(cacheKey, request, response));
+
+    if (!options.networkTimeoutSeconds) {
+        return network.catch(() => fetchFromCache(request, cacheKey));
+    }
+
+    return new Promise((resolve, reject) => {
+        var timeout = setTimeout(() => {
+            fetchFromCache(request, cacheKey)
+            .then(resolve)
+            .catch(() => {});
+        }, options.networkTimeoutSeconds * 1000);
+
+        network
+        .then(response => {
+            clearTimeout(timeout);
+            resolve(response);
+        })
+        .catch(() => {
+            clearTimeout(timeout);
+            fetchFromCache(request, cacheKey)
+            .then(resolve, reject);
+        });
+    });
+}
+
+/**
+ * Network-only strategy. Download.
+ *
+ * @param {object} event
+ * @param {string} cacheKey
+ * @param {string} resourceType
+ *
+ * @return {Promise}
+ */
+export function networkOnly(event, cacheKey, resourceType) {
+    return fetchFromNetwork(event.request, resourceType, event.preloadResponse);
+}
+
+/**
+ * Stale-while-revalidate strategy. Fetch from cache and update it in the
+ * background -> Download.
+ *
+ * @param {object} event
+ * @param {string} cacheKey
+ * @param {string} resourceType
+ *
+ * @return {Promise}
+ */
+export function staleWhileRevalidate(event, cacheKey, resourceType) {
+    var request = event.request;
+    var network = fetchFromNetwork(request, resourceType, event.preloadResponse)
+        .then(response => addToCache(cacheKey, request, response));
+
+    return fetchFromCache(request, cacheKey)
+    .then(response => {
+        event.waitUntil(network.catch(() => {}));
+
+        return response;
+    })
+    .catch(() => network);
+}
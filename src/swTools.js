@@ -18,6 +18,219 @@
 var swTools = (function() {
     'use strict';
 
+    // Maximum time to wait for a Service Worker response, in milliseconds.
+    var requestTimeout = 10 * 1000;
+
+    // Maximum time to wait for a prefetch to be downloaded, in milliseconds.
+    var prefetchTimeout = 60 * 1000;
+
+    // Identifier of the last request sent to the Service Worker.
+    var requestId = 0;
+
+    // Deferred elements: images with data-defer-src or data-defer-srcset,
+    // backgrounds with data-defer-bg and embed facades.
+    var deferredSelector = 'img[data-defer-src], img[data-defer-srcset], [data-defer-bg], [data-defer-embed]';
+
+    // Iframes replaced with a click to load facade.
+    var embedSelector = 'iframe[data-defer-iframe], iframe[data-yt-src]';
+
+    // Click to load embed providers, checked in order:
+    //   - match. Regular expression for the embed URL.
+    //   - src(match, url). URL loaded when the facade is clicked.
+    //   - thumbnail(match, url). Image URL, or a Promise that resolves with
+    //     it. Optional.
+    //   - ratio (width / height) or height (pixels). Used when the iframe has
+    //     no width and height attributes.
+    //   - label. Button text.
+    var embedProviders = {
+        youtube: {
+            match: /^(?:https?:)?\/\/(?:www\.)?youtube(?:-nocookie)?\.com\/embed\/([\w-]+)/i,
+            src: (match, url) => addQueryParameter(url, 'autoplay', 1),
+            thumbnail: match => 'https://img.youtube.com/vi/' + match[1] + '/hqdefault.jpg',
+            ratio: 16 / 9,
+            label: 'Play video'
+        },
+        vimeo: {
+            match: /^(?:https?:)?\/\/player\.vimeo\.com\/video\/(\d+)/i,
+            src: (match, url) => addQueryParameter(url, 'autoplay', 1),
+            thumbnail: match => oEmbedThumbnail('https://vimeo.com/api/oembed.json?url=' + encodeURIComponent('https://vimeo.com/' + match[1])),
+            ratio: 16 / 9,
+            label: 'Play video'
+        },
+        googleMaps: {
+            match: /^(?:https?:)?\/\/(?:www\.|maps\.)?google\.[a-z.]+\/maps\/embed/i,
+            src: (match, url) => url,
+            ratio: 4 / 3,
+            label: 'Show map'
+        },
+        twitter: {
+            match: /^(?:https?:)?\/\/(?:www\.)?(?:twitter|x)\.com\/\w+\/status\/(\d+)/i,
+            src: match => 'https://platform.twitter.com/embed/Tweet.html?id=' + match[1],
+            height: 500,
+            label: 'Show post'
+        },
+        spotify: {
+            match: /^(?:https?:)?\/\/open\.spotify\.com\/(?:embed\/)?(album|artist|episode|playlist|show|track)\/(\w+)/i,
+            src: match => 'https://open.spotify.com/embed/' + match[1] + '/' + match[2],
+            thumbnail: match => oEmbedThumbnail('https://open.spotify.com/oembed?url=' + encodeURIComponent('https://open.spotify.com/' + match[1] + '/' + match[2])),
+            height: 352,
+            label: 'Play on Spotify'
+        }
+    };
+
+    // Provider of the embeds that do not match any other one.
+    var defaultEmbedProvider = {
+        src: (match, url) => url,
+        ratio: 16 / 9,
+        label: 'Load content'
+    };
+
+    // Time the pointer must stay over a link to prefetch it, in milliseconds.
+    var hoverDelay = 65;
+
+    // Time a link must stay in the viewport to prefetch it in viewport mode,
+    // in milliseconds.
+    var viewportDelay = 1000;
+
+    // Network profile defaults. Connections are constrained in save-data
+    // mode or when they exceed one of the thresholds.
+    var networkDefaults = {
+        slowEffectiveTypes: ['slow-2g', '2g'],
+        maxRtt: 1000,
+        minDownlink: 0,
+        minDeviceMemory: 1,
+        constrained: {
+            prefetch: false,
+            srcset: false
+        }
+    };
+
+    // Lazy loading defaults. Elements are loaded when they are closer to the
+    // viewport than the root margin.
+    var lazyLoadDefaults = {
+        rootMargin : '200px 0px',
+        loadedClass: 'defer-loaded'
+    };
+
+    // Supported configuration options and their types. Arrays define the type
+    // of their items and '*' matches any option name. It must match the schema
+    // of the Service Worker (src/sw/config.js), as checked by the tests.
+    var configSchema = {
+        cache: {
+            enabled: 'boolean',
+            maxItems: 'number',
+            noCacheItems: ['string'],
+            noCachePatterns: ['regexp'],
+            strategies: {
+                '*': 'string'
+            },
+            routes: [{
+                match: 'string|regexp',
+                strategy: 'string',
+                cacheName: 'string',
+                options: {
+                    networkTimeoutSeconds: 'number'
+                }
+            }],
+            expiration: {
+                '*': {
+                    maxAgeSeconds: 'number',
+                    maxBytes: 'number',
+                    maxItems: 'number'
+                }
+            }
+        },
+        prefetch: {
+            enabled: 'boolean',
+            items: ['string'],
+            mode: 'string',
+            viewportDelay: 'number',
+            predictions: 'number',
+            concurrency: 'number',
+            maxRequests: 'number',
+            maxBytes: 'number',
+            hoverDelay: 'number'
+        },
+        saveDataItems: ['string'],
+        offline: {
+            page: 'string',
+            image: 'string',
+            fallbacks: [{
+                match: 'string|regexp',
+                destination: 'string',
+                url: 'string',
+                body: 'string',
+                contentType: 'string',
+                json: 'object',
+                status: 'number'
+            }]
+        },
+        defer: {
+            images: {
+                color: 'string'
+            },
+            youtube: {
+                enabled: 'boolean',
+                noCookie: 'boolean'
+            },
+            rootMargin: 'string',
+            loadedClass: 'string'
+        },
+        consent: {
+            required: 'boolean'
+        },
+        network: {
+            slowEffectiveTypes: ['string'],
+            maxRtt: 'number',
+            minDownlink: 'number',
+            minDeviceMemory: 'number',
+            constrained: {
+                prefetch: 'boolean',
+                srcset: 'boolean',
+                cacheFirst: 'boolean',
+                imageVariants: [{
+                    match: 'string|regexp',
+                    replace: 'string'
+                }]
+            }
+        },
+        analytics: {
+            enabled: 'boolean',
+            maxTime: 'number',
+            providers: ['string|object']
+        },
+        queue: {
+            routes: [{
+                match: 'string|regexp',
+                methods: ['string'],
+                maxRetries: 'number'
+            }],
+            maxRetries: 'number',
+            maxTime: 'number'
+        },
+        update: {
+            mode: 'string'
+        },
+        navigationPreload: {
+            enabled: 'boolean',
+            headerValue: 'string'
+        },
+        appShell: {
+            enabled: 'boolean',
+            header: 'string',
+            footer: 'string',
+            partialUrl: 'string',
+            match: ['string|regexp'],
+            offlineContent: 'string'
+        },
+        push: {
+            title: 'string',
+            icon: 'string',
+            badge: 'string',
+            analyticsUrl: 'string'
+        }
+    };
+
     /**
      * Constructor.
      *
@@ -29,8 +242,11 @@ var swTools = (function() {
             return;
         }
 
-        this.jsFile   = jsFile;
-        this.swConfig = swConfig;
+        this.jsFile       = jsFile;
+        this.callbacks    = {};
+        this.configErrors = [];
+        this.consent      = {};
+        this.swConfig     = validateConfig(swConfig || {}, configSchema, '', this.configErrors) || {};
 
         this.init();
     }
@@ -44,38 +260,68 @@ var swTools = (function() {
             return;
         }
 
-        navigator.serviceWorker.register(this.jsFile);
+        this.registration = navigator.serviceWorker.register(this.getScriptURL());
+
+        this.watchUpdates();
+        this.watchMessages();
+        this.watchNetwork();
 
         // Page load event listener.
         self.addEventListener('load', () => {
+            this.lazyLoad();
+
             if (!navigator.serviceWorker.controller) {
                 return;
             }
 
             var module = self.swTools;
 
-            // Message handle.
-            module.postMessage({ 'command': 'setConfig', 'config': module.swConfig });
-            module.addEventListener('message', event => {
-                switch (event.data.message) {
-                    case 'isConfigured':
-                        startPrefetch();
-                        deferredImages();
-                        break;
-                }
-            });
+            module.postMessage({ 'command': 'setNetworkProfile', 'profile': module.getNetworkProfile() });
+
+            // Consent handle. The consent set by the page has priority.
+            module.request('getConsent')
+            .then(consent => {
+                module.consent = Object.assign(consent, module.consent);
+                module.lazyLoad();
+            })
+            .catch(error => console.error('Service Worker error:', error));
+
+            // Configuration handle.
+            module.sendConfig(module.swConfig)
+            .then(() => startPrefetch())
+            .catch(error => console.error('Service Worker error:', error));
 
             // Link prefetch handle.
-            var linkEvents  = ['mouseover', 'touchstart'];
-            var linkHandler = function(event) {
-                var target = event.target;
+            var prefetchConfig = module.swConfig.prefetch || {};
+            var prefetched     = [];
+            var linkEvents     = ['mouseenter', 'mouseleave', 'touchstart'];
+            var linkHandler    = function(event) {
+                var link = event.currentTarget;
+
+                clearTimeout(link.prefetchTimer);
 
-                prefetch(target.href);
-                linkEvents.forEach(eventType => target.removeEventListener(eventType, linkHandler));
+                switch (event.type) {
+                    case 'touchstart':
+                        prefetchLink(link);
+                        break;
+                    case 'mouseenter':
+                        link.prefetchTimer = setTimeout(() => prefetchLink(link), getHoverDelay());
+                        break;
+                }
             }
 
+            // Prefetch modes:
+            //   - hover. Links marked with data-prefetch and hovered links.
+            //   - viewport. Also links visible for some time.
+            //   - speculation-rules. The browser prefetches the links, using
+            //     Speculation Rules. Hover mode when not supported.
+            //   - predictive. Also the pages most visited after the current
+            //     one.
             function startPrefetch() {
-                if (!module.swConfig.prefetch.enabled) {
+                var urls  = [];
+                var links = [];
+
+                if (false === prefetchConfig.enabled) {
                     return;
                 }
 
@@ -85,14 +331,123 @@ var swTools = (function() {
                     }
 
                     // Link marked to prefetch at load.
-                    if (link.hasAttribute('data-prefetch') && isNetworkValid()) {
-                        prefetch(link.href);
+                    if (link.hasAttribute('data-prefetch')) {
+                        urls.push(link.href);
 
                         return;
                     }
 
-                    linkEvents.forEach(eventType => link.addEventListener(eventType, linkHandler));
+                    links.push(link);
+                });
+
+                if ('speculation-rules' === prefetchConfig.mode && addSpeculationRules(urls, links)) {
+                    return;
+                }
+
+                if (urls.length) {
+                    whenIdle(() => prefetch(urls, 'low'));
+                }
+
+                links.forEach(link => linkEvents.forEach(eventType => link.addEventListener(eventType, linkHandler, { passive: true })));
+
+                switch (prefetchConfig.mode) {
+                    case 'viewport':
+                        watchViewport(links);
+                        break;
+                    case 'predictive':
+                        prefetchPredictions(links);
+                        break;
+                }
+            }
+
+            // Returns false when the browser does not support them.
+            function addSpeculationRules(urls, links) {
+                var script;
+                var hrefs;
+
+                if (!self.HTMLScriptElement || !HTMLScriptElement.supports || !HTMLScriptElement.supports('speculationrules')) {
+                    return false;
+                }
+
+                if (!isNetworkValid()) {
+                    return true;
+                }
+
+                hrefs = links
+                .map(link => link.href)
+                .filter((href, index, hrefs) => index === hrefs.indexOf(href) && -1 === urls.indexOf(href));
+
+                script             = document.createElement('script');
+                script.type        = 'speculationrules';
+                script.textContent = JSON.stringify({
+                    prefetch: [
+                        { source: 'list', urls: urls, eagerness: 'immediate' },
+                        { source: 'list', urls: hrefs, eagerness: 'moderate' }
+                    ].filter(rule => rule.urls.length)
+                });
+                document.head.appendChild(script);
+
+                return true;
+            }
+
+            function watchViewport(links) {
+                var delay = ('number' === typeof prefetchConfig.viewportDelay) ? prefetchConfig.viewportDelay : viewportDelay;
+                var observer;
+
+                if (!('IntersectionObserver' in self)) {
+                    return;
+                }
+
+                observer = new IntersectionObserver(entries => {
+                    entries.forEach(entry => {
+                        var link = entry.target;
+
+                        clearTimeout(link.viewportTimer);
+                        if (!entry.isIntersecting) {
+                            return;
+                        }
+
+                        link.viewportTimer = setTimeout(() => {
+                            observer.unobserve(link);
+                            prefetch([link.href], 'low');
+                        }, delay);
+                    });
                 });
+
+                links.forEach(link => observer.observe(link));
+            }
+
+            // Only the predicted pages linked from the current one.
+            function prefetchPredictions(links) {
+                var hrefs = links.map(link => link.href);
+
+                module.request('getPredictions', { 'url': location.href })
+                .then(predictions => {
+                    predictions = predictions.filter(url => -1 !== hrefs.indexOf(url));
+                    if (predictions.length) {
+                        whenIdle(() => prefetch(predictions, 'low'));
+                    }
+                })
+                .catch(error => console.error('Service Worker error:', error));
+            }
+
+            function prefetchLink(link) {
+                linkEvents.forEach(eventType => link.removeEventListener(eventType, linkHandler, { passive: true }));
+                prefetch([link.href], 'high');
+            }
+
+            function getHoverDelay() {
+                return ('number' === typeof prefetchConfig.hoverDelay) ? prefetchConfig.hoverDelay : hoverDelay;
+            }
+
+            // Run a task when the browser is idle, or soon in browsers without
+            // requestIdleCallback.
+            function whenIdle(task) {
+                if ('requestIdleCallback' in self) {
+                    self.requestIdleCallback(task, { timeout: 2000 });
+                } else {
+                    setTimeout(task, 1);
+                }
             }
 
             function isPrefetchable(link) {
@@ -111,102 +466,1044 @@ var swTools = (function() {
                 return true;
             }
 
-            // It only works on some browsers (https://caniuse.com/#feat=netinfo).
             function isNetworkValid() {
-                var connection = navigator.connection || navigator.mozConnection || navigator.webkitConnection;
-
-                if (!connection) {
-                    return true;
-                }
+                return !module.getNetworkProfile().constrained || getNetworkConfig(module).constrained.prefetch;
+            }
 
-                if (
-                    ['slow-2g', '2g'].includes(connection.effectiveType)
-                    || 0 == connection.downlink
-                ) {
-                    return false;
+            function prefetch(urls, priority) {
+                urls = urls.filter(url => -1 === prefetched.indexOf(url));
+                if (!urls.length || !isNetworkValid()) {
+                    return;
                 }
 
-                return true;
+                prefetched = prefetched.concat(urls);
+                module.prefetch(urls, priority).catch(() => {});
             }
 
-            function prefetch(url) {
-                module.postMessage({ 'command': 'prefetch', 'urls': [url] });
-            }
+            // The queued prefetches are not needed after leaving the page.
+            self.addEventListener('pagehide', () => module.postMessage({ 'command': 'cancelPrefetch', 'session': getSession() }));
 
             self.addEventListener('online', () => module.postMessage({ 'command': 'reconnected' }));
+        });
 
-            // Image defer handle.
-            var imgEvents = ['resize', 'scroll'];
-            var imgHandler = function() {
-                document.querySelectorAll('img.pending').forEach(img => {
-                    if (!isElementInViewport(img)) {
-                        return;
-                    }
+        this.initialized = true;
+    };
+
+    /**
+     * Load the deferred elements of a page, or part of it, as they get close
+     * to the viewport. Elements added later can be loaded calling it again.
+     * Without IntersectionObserver support, images use the native lazy
+     * loading and the rest of elements are loaded at once.
+     *
+     * @param {Element} root Defaults to the document.
+     */
+    swTools.prototype.lazyLoad = function(root) {
+        var defer   = this.swConfig.defer || {};
+        var options = {
+            loadedClass: defer.loadedClass || lazyLoadDefaults.loadedClass,
+            media      : this.hasConsent('media'),
+            noCookie   : !!(defer.youtube && defer.youtube.noCookie),
+            youtube    : !(defer.youtube && false === defer.youtube.enabled),
+            srcset     : !this.getNetworkProfile().constrained || getNetworkConfig(this).constrained.srcset
+        };
+        var elements;
+
+        (root || document).querySelectorAll(embedSelector).forEach(iframe => createEmbedFacade(iframe, options));
+        elements = (root || document).querySelectorAll(deferredSelector);
+
+        if (!('IntersectionObserver' in self)) {
+            elements.forEach(element => {
+                if ('IMG' === element.nodeName && 'loading' in element) {
+                    element.setAttribute('loading', 'lazy');
+                }
+
+                loadElement(element, options);
+            });
 
-                    img.classList.remove('pending');
-                    if (!img.hasAttribute('data-defer-src')) {
+            return this;
+        }
+
+        // The options of the last call are used for every element.
+        this.lazyOptions = options;
+        if (!this.lazyObserver) {
+            this.lazyObserver = new IntersectionObserver(entries => {
+                entries.forEach(entry => {
+                    if (!entry.isIntersecting) {
                         return;
                     }
 
-                    img.src = img.getAttribute('data-defer-src');
-                    img.removeAttribute('data-defer-src');
+                    this.lazyObserver.unobserve(entry.target);
+                    loadElement(entry.target, this.lazyOptions);
                 });
-            }
+            }, { rootMargin: defer.rootMargin || lazyLoadDefaults.rootMargin });
+        }
+
+        elements.forEach(element => this.lazyObserver.observe(element));
+
+        return this;
+    };
+
+    /**
+     * Save the consent categories granted or denied by the user, like
+     * { analytics: true, media: false }. They are merged with the current
+     * ones and stored by the Service Worker.
+     * Embed thumbnails are loaded once media consent is granted, and the
+     * queued analytics requests are deleted when analytics consent is
+     * revoked.
+     *
+     * @param {object} consent
+     *
+     * @return {Promise} Resolves with the current consent.
+     */
+    swTools.prototype.setConsent = function(consent) {
+        Object.assign(this.consent, consent);
+        this.lazyLoad();
+
+        if (navigator.serviceWorker.controller) {
+            return this.request('setConsent', { 'consent': consent });
+        }
+
+        // On the first visit, the page is not controlled until it is reloaded.
+        return navigator.serviceWorker.ready
+        .then(registration => sendRequest(registration.active, 'setConsent', { 'consent': consent }));
+    };
+
+    /**
+     * Check if the user consented a category. Categories without an answer
+     * are granted unless consent.required is set.
+     *
+     * @param {string} category
+     *
+     * @return {boolean}
+     */
+    swTools.prototype.hasConsent = function(category) {
+        if (category in this.consent) {
+            return this.consent[category];
+        }
+
+        return !(this.swConfig.consent && this.swConfig.consent.required);
+    };
+
+    /**
+     * Register a click to load embed provider. It replaces the provider with
+     * the same name.
+     *
+     * @param {string} name
+     * @param {object} provider match, src, thumbnail, ratio or height and
+     *     label. See embedProviders.
+     */
+    swTools.prototype.registerEmbedProvider = function(name, provider) {
+        embedProviders[name] = provider;
+
+        return this;
+    };
+
+    /**
+     * Get the Service Worker URL including the update mode.
+     *
+     * @return {string}
+     */
+    swTools.prototype.getScriptURL = function() {
+        if ('prompt' !== this.getUpdateMode()) {
+            return this.jsFile;
+        }
+
+        return this.jsFile + (-1 === this.jsFile.indexOf('?') ? '?' : '&') + 'update=prompt';
+    };
+
+    /**
+     * Get the configured update mode (auto or prompt).
+     *
+     * @return {string}
+     */
+    swTools.prototype.getUpdateMode = function() {
+        var update = this.swConfig && this.swConfig.update;
+
+        return (update && update.mode) || 'auto';
+    };
+
+    /**
+     * Detect new Service Worker versions waiting to be activated.
+     * In prompt mode, controlled pages are reloaded when the new version
+     * takes control.
+     */
+    swTools.prototype.watchUpdates = function() {
+        if ('prompt' !== this.getUpdateMode()) {
+            return;
+        }
 
-            function deferredImages() {
-                document.querySelectorAll('img').forEach(img => img.classList.add('pending'));
-                imgEvents.forEach(eventType => self.addEventListener(eventType, imgHandler));
+        var module        = this;
+        var hadController = !!navigator.serviceWorker.controller;
+        var reloading     = false;
 
-                imgHandler();
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (!hadController || reloading) {
+                return;
             }
 
-            function isElementInViewport(element) {
-                var rect = element.getBoundingClientRect();
+            reloading = true;
+            location.reload();
+        });
 
-                return (
-                    rect.top <= (self.innerHeight || document.documentElement.clientHeight) &&
-                    rect.left <= (self.innerWidth || document.documentElement.clientWidth) &&
-                    rect.right >= 0 &&
-                    rect.bottom >= 0
-                );
+        this.registration.then(registration => {
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                module.notifyUpdate(registration.waiting);
             }
 
-            // YouTube defer handle.
-            var videoEvents = ['resize', 'scroll'];
-            var videoHandler = function() {
-                document.querySelectorAll('iframe').forEach(iframe => {
-                    if (!isElementInViewport(iframe)) {
-                        return;
-                    }
+            registration.addEventListener('updatefound', () => {
+                var worker = registration.installing;
 
-                    if (!iframe.hasAttribute('data-yt-src')) {
-                        return;
+                worker.addEventListener('statechange', () => {
+                    if ('installed' === worker.state && navigator.serviceWorker.controller) {
+                        module.notifyUpdate(worker);
                     }
-
-                    iframe.src = iframe.getAttribute('data-yt-src');
-                    iframe.removeAttribute('data-yt-src');
                 });
-            }
+            });
+        })
+        .catch(() => {});
+    };
 
-            videoEvents.forEach(eventType => self.addEventListener(eventType, videoHandler));
-            videoHandler();
+    /**
+     * Handle the messages sent by the Service Worker to every page.
+     *   - queueChanged. Requests waiting to be replayed.
+     */
+    swTools.prototype.watchMessages = function() {
+        this.addEventListener('message', event => {
+            switch (event.data.message) {
+                case 'queueChanged':
+                    this.trigger('queueChanged', event.data.requests);
+                    break;
+            }
         });
+    };
 
-        this.initialized = true;
+    /**
+     * Register a callback for a library event.
+     *
+     * @param {string} eventName
+     * @param {function} callback
+     */
+    swTools.prototype.on = function(eventName, callback) {
+        this.callbacks[eventName] = (this.callbacks[eventName] || []).concat(callback);
+
+        return this;
     };
 
-    swTools.prototype.postMessage = function(data) {
-        navigator.serviceWorker.controller.postMessage(data);
+    /**
+     * Call the callbacks of a library event.
+     *
+     * @param {string} eventName
+     * @param {*} data
+     */
+    swTools.prototype.trigger = function(eventName, data) {
+        (this.callbacks[eventName] || []).forEach(callback => callback(data));
 
         return this;
     };
 
-    swTools.prototype.addEventListener = function(event, callback) {
-        navigator.serviceWorker.addEventListener(event, callback);
+    /**
+     * Call the update callbacks.
+     *
+     * @param {ServiceWorker} worker
+     */
+    swTools.prototype.notifyUpdate = function(worker) {
+        this.waitingWorker = worker;
+        this.trigger('updateAvailable', worker);
+    };
+
+    /**
+     * Register a callback called when a new version is waiting to be
+     * activated (prompt update mode).
+     *
+     * @param {function} callback
+     */
+    swTools.prototype.onUpdateAvailable = function(callback) {
+        this.on('updateAvailable', callback);
+
+        if (this.waitingWorker) {
+            callback(this.waitingWorker);
+        }
+
+        return this;
+    };
+
+    /**
+     * Activate the waiting Service Worker. Controlled pages are reloaded once
+     * it takes control.
+     */
+    swTools.prototype.applyUpdate = function() {
+        if (this.waitingWorker) {
+            this.waitingWorker.postMessage({ 'command': 'skipWaiting' });
+        }
+
+        return this;
+    };
+
+    /**
+     * Call the configuration error callbacks.
+     *
+     * @param {Array} errors
+     */
+    swTools.prototype.notifyConfigErrors = function(errors) {
+        this.configErrors = this.configErrors.concat(errors);
+        this.trigger('configError', errors);
+    };
+
+    /**
+     * Register a callback called with the list of configuration errors found
+     * by the library or the Service Worker. Invalid options are ignored.
+     * Each error has a code (unknownOption or invalidType), a path and a
+     * message.
+     *
+     * @param {function} callback
+     */
+    swTools.prototype.onConfigError = function(callback) {
+        this.on('configError', callback);
+
+        if (this.configErrors.length) {
+            callback(this.configErrors);
+        }
 
         return this;
     };
 
+    /**
+     * Get the network conditions of the device. Only some browsers support
+     * the Network Information API (https://caniuse.com/#feat=netinfo).
+     *
+     * @return {object} saveData, effectiveType, rtt, downlink, deviceMemory and
+     *     constrained.
+     */
+    swTools.prototype.getNetworkProfile = function() {
+        var connection = navigator.connection || navigator.mozConnection || navigator.webkitConnection || {};
+        var thresholds = getNetworkConfig(this);
+        var profile    = {
+            saveData     : !!connection.saveData,
+            effectiveType: connection.effectiveType || null,
+            rtt          : ('number' === typeof connection.rtt) ? connection.rtt : null,
+            downlink     : ('number' === typeof connection.downlink) ? connection.downlink : null,
+            deviceMemory : navigator.deviceMemory || null
+        };
+
+        profile.constrained = (
+            profile.saveData
+            || thresholds.slowEffectiveTypes.includes(profile.effectiveType)
+            || (null !== profile.rtt && profile.rtt > thresholds.maxRtt)
+            || (null !== profile.downlink && profile.downlink <= thresholds.minDownlink)
+            || (null !== profile.deviceMemory && profile.deviceMemory < thresholds.minDeviceMemory)
+        );
+
+        return profile;
+    };
+
+    /**
+     * Send the network profile to the Service Worker, and call the network
+     * change callbacks, when the connection changes.
+     */
+    swTools.prototype.watchNetwork = function() {
+        var connection = navigator.connection || navigator.mozConnection || navigator.webkitConnection;
+
+        if (!connection || !connection.addEventListener) {
+            return;
+        }
+
+        connection.addEventListener('change', () => {
+            var profile = this.getNetworkProfile();
+
+            if (navigator.serviceWorker.controller) {
+                this.postMessage({ 'command': 'setNetworkProfile', 'profile': profile });
+            }
+
+            this.trigger('networkChange', profile);
+        });
+    };
+
+    /**
+     * Register a callback called with the network profile every time the
+     * connection changes.
+     *
+     * @param {function} callback
+     */
+    swTools.prototype.onNetworkChange = function(callback) {
+        return this.on('networkChange', callback);
+    };
+
+    /**
+     * Register a callback called with the queued requests (id, method, url,
+     * timestamp and retries) every time the offline queue changes.
+     *
+     * @param {function} callback
+     */
+    swTools.prototype.onQueueChanged = function(callback) {
+        return this.on('queueChanged', callback);
+    };
+
+    /**
+     * Send a configuration to the Service Worker. It is merged with the
+     * current one.
+     *
+     * @param {object} config
+     *
+     * @return {Promise} Resolves with the configuration errors.
+     */
+    swTools.prototype.setConfig = function(config) {
+        var errors = [];
+
+        config        = validateConfig(config || {}, configSchema, '', errors) || {};
+        this.swConfig = mergeDeep(this.swConfig, config);
+        if (errors.length) {
+            this.notifyConfigErrors(errors);
+        }
+
+        return this.sendConfig(config)
+        .then(result => ({ errors: errors.concat(result.errors) }));
+    };
+
+    /**
+     * Send a validated configuration to the Service Worker.
+     *
+     * @param {object} config
+     *
+     * @return {Promise} Resolves with the Service Worker result.
+     */
+    swTools.prototype.sendConfig = function(config) {
+        return this.request('setConfig', { 'config': config })
+        .then(result => {
+            if (result.errors.length) {
+                this.notifyConfigErrors(result.errors);
+            }
+
+            return result;
+        });
+    };
+
+    /**
+     * Download and cache a list of URLs. The Service Worker downloads them a
+     * few at a time, high priority first, within the budget of the browser
+     * tab.
+     *
+     * @param {Array} urls
+     * @param {string} priority high or low (default).
+     *
+     * @return {Promise} Resolves with the URL and status of each prefetch:
+     *     the response status, or cached, budget, cancelled or error.
+     */
+    swTools.prototype.prefetch = function(urls, priority) {
+        return this.request('prefetch', {
+            'urls'    : urls,
+            'priority': priority || 'low',
+            'session' : getSession()
+        }, prefetchTimeout);
+    };
+
+    /**
+     * Get the number of elements and the estimated size of every cache.
+     *
+     * @return {Promise}
+     */
+    swTools.prototype.getCacheStats = function() {
+        return this.request('getCacheStats');
+    };
+
+    /**
+     * Get the requests waiting in the offline queue.
+     *
+     * @return {Promise}
+     */
+    swTools.prototype.getQueue = function() {
+        return this.request('getQueue');
+    };
+
+    /**
+     * Get the cached elements of a type (static, content, image, precache or
+     * a route cache name), or all of them.
+     *
+     * @param {string} type
+     *
+     * @return {Promise}
+     */
+    swTools.prototype.listCached = function(type) {
+        return this.request('listCached', { 'type': type });
+    };
+
+    /**
+     * Delete the cached elements matching a URL, glob or regular expression.
+     *
+     * @param {string|RegExp} urlOrPattern
+     *
+     * @return {Promise} Resolves with the deleted URLs.
+     */
+    swTools.prototype.purge = function(urlOrPattern) {
+        return this.request('purge', { 'pattern': urlOrPattern });
+    };
+
+    /**
+     * Delete a cache type, or all of them.
+     *
+     * @param {string} type
+     *
+     * @return {Promise} Resolves with the deleted cache names.
+     */
+    swTools.prototype.clearCache = function(type) {
+        return this.request('clearCache', { 'type': type });
+    };
+
+    /**
+     * Subscribe the browser to push notifications. The browser asks the user
+     * for permission. The current subscription is reused, unless it was
+     * created with another key.
+     *
+     * @param {string} vapidPublicKey Public VAPID key of the backend, base64url
+     *     encoded.
+     *
+     * @return {Promise} Resolves with the PushSubscription JSON, to be sent to
+     *     the backend.
+     */
+    swTools.prototype.subscribePush = function(vapidPublicKey) {
+        var applicationServerKey = base64UrlToBytes(vapidPublicKey);
+        var pushManager;
+
+        return getPushManager()
+        .then(manager => {
+            pushManager = manager;
+
+            return pushManager.getSubscription();
+        })
+        .then(subscription => {
+            if (!subscription) {
+                return null;
+            }
+
+            if (isSameKey(subscription.options.applicationServerKey, applicationServerKey)) {
+                return subscription;
+            }
+
+            return subscription.unsubscribe().then(() => null);
+        })
+        .then(subscription => subscription || pushManager.subscribe({
+            userVisibleOnly     : true,
+            applicationServerKey: applicationServerKey
+        }))
+        .then(subscription => subscription.toJSON());
+    };
+
+    /**
+     * Unsubscribe the browser from push notifications.
+     *
+     * @return {Promise} Resolves with the PushSubscription JSON, to be deleted
+     *     by the backend, or null when the browser was not subscribed.
+     */
+    swTools.prototype.unsubscribePush = function() {
+        return getPushManager()
+        .then(pushManager => pushManager.getSubscription())
+        .then(subscription => {
+            if (!subscription) {
+                return null;
+            }
+
+            return subscription.unsubscribe()
+            .then(() => subscription.toJSON());
+        });
+    };
+
+    /**
+     * Send a command to the Service Worker and wait for its response.
+     * Each request uses its own MessageChannel, so the response only reaches
+     * this page.
+     *
+     * @param {string} command
+     * @param {object} data
+     * @param {integer} timeout Milliseconds.
+     *
+     * @return {Promise} Resolves with the result or rejects with the error.
+     */
+    swTools.prototype.request = function(command, data, timeout) {
+        var controller = navigator.serviceWorker.controller;
+
+        if (!controller) {
+            return Promise.reject(Error('The page is not controlled by a Service Worker'));
+        }
+
+        return sendRequest(controller, command, data, timeout);
+    };
+
+    swTools.prototype.postMessage = function(data) {
+        navigator.serviceWorker.controller.postMessage(data);
+
+        return this;
+    };
+
+    swTools.prototype.addEventListener = function(event, callback) {
+        navigator.serviceWorker.addEventListener(event, callback);
+
+        return this;
+    };
+
+    /**
+     * Send a command to a Service Worker and wait for its response.
+     * See swTools.request().
+     *
+     * @param {ServiceWorker} worker
+     * @param {string} command
+     * @param {object} data
+     * @param {integer} timeout Milliseconds.
+     *
+     * @return {Promise}
+     */
+    function sendRequest(worker, command, data, timeout) {
+        var id = ++requestId;
+
+        return new Promise((resolve, reject) => {
+            var channel = new MessageChannel();
+            var timer   = setTimeout(() => {
+                channel.port1.close();
+                reject(Error('Service Worker request ' + command + ' timed out'));
+            }, timeout || requestTimeout);
+
+            channel.port1.onmessage = event => {
+                if (id !== event.data.id) {
+                    return;
+                }
+
+                clearTimeout(timer);
+                channel.port1.close();
+
+                if (event.data.error) {
+                    reject(Error(event.data.error.message));
+
+                    return;
+                }
+
+                resolve(event.data.result);
+            };
+
+            worker.postMessage(Object.assign({ 'command': command, 'id': id }, data), [channel.port2]);
+        });
+    }
+
+    /**
+     * Get the network thresholds and policies, with the defaults for the
+     * options not configured.
+     *
+     * @param {swTools} module
+     *
+     * @return {object}
+     */
+    function getNetworkConfig(module) {
+        return mergeDeep(mergeDeep({}, networkDefaults), module.swConfig.network || {});
+    }
+
+    /**
+     * Get the identifier of the browser tab session. Prefetch budgets are
+     * counted by session.
+     *
+     * @return {string}
+     */
+    function getSession() {
+        var session;
+
+        try {
+            session = sessionStorage.getItem('swTools.session');
+            if (!session) {
+                session = Date.now().toString(36) + Math.random().toString(36).slice(2);
+                sessionStorage.setItem('swTools.session', session);
+            }
+        } catch (error) {
+            // Storage disabled.
+            session = '';
+        }
+
+        return session;
+    }
+
+    /**
+     * Check if item is object.
+     *
+     * @param {object} item
+     *
+     * @return {boolean}
+     */
+    function isObject(item) {
+        return (item && 'object' === typeof item && !Array.isArray(item) && !isRegExp(item));
+    }
+
+    /**
+     * Check if item is a regular expression.
+     *
+     * @param {object} item
+     *
+     * @return {boolean}
+     */
+    function isRegExp(item) {
+        return '[object RegExp]' === Object.prototype.toString.call(item);
+    }
+
+    /**
+     * Deep merge of two objects.
+     *
+     * @param {object} target
+     * @param {object} source
+     *
+     * @return {object}
+     */
+    function mergeDeep(target, source) {
+        if (isObject(target) && isObject(source)) {
+            Object.keys(source).forEach(key => {
+                if (isObject(source[key])) {
+                    if (!target[key]) {
+                        Object.assign(target, { [key]: {} });
+                    }
+
+                    mergeDeep(target[key], source[key]);
+                } else {
+                    Object.assign(target, { [key]: source[key] });
+                }
+            });
+        }
+
+        return target;
+    }
+
+    /**
+     * Check if a value is of a configuration schema type.
+     *
+     * @param {*} value
+     * @param {string} type
+     *
+     * @return {boolean}
+     */
+    function isConfigType(value, type) {
+        switch (type) {
+            case 'array':
+                return Array.isArray(value);
+            case 'object':
+                return isObject(value);
+            case 'regexp':
+                return isRegExp(value) || (isObject(value) && 'string' === typeof value.$regexp);
+            default:
+                return type === typeof value;
+        }
+    }
+
+    /**
+     * Validate a configuration against a schema.
+     * Returns the configuration without the invalid options, which are added
+     * to the errors list. Returns undefined when the whole value is invalid.
+     *
+     * @param {*} value
+     * @param {*} schema
+     * @param {string} path
+     * @param {Array} errors
+     *
+     * @return {*}
+     */
+    function validateConfig(value, schema, path, errors) {
+        function typeError(expected) {
+            errors.push({
+                code    : 'invalidType',
+                path    : path,
+                expected: expected,
+                message : (path || 'config') + ' must be of type ' + expected
+            });
+        }
+
+        if ('string' === typeof schema) {
+            if (!schema.split('|').some(type => isConfigType(value, type))) {
+                typeError(schema);
+
+                return undefined;
+            }
+
+            return value;
+        }
+
+        if (Array.isArray(schema)) {
+            if (!Array.isArray(value)) {
+                typeError('array');
+
+                return undefined;
+            }
+
+            return value
+                .map((item, index) => validateConfig(item, schema[0], path + '[' + index + ']', errors))
+                .filter(item => undefined !== item);
+        }
+
+        if (!isObject(value)) {
+            typeError('object');
+
+            return undefined;
+        }
+
+        return Object.keys(value).reduce((validConfig, key) => {
+            var keyPath   = path ? path + '.' + key : key;
+            var keySchema = schema.hasOwnProperty(key) ? schema[key] : schema['*'];
+            var keyValue;
+
+            if (undefined === keySchema) {
+                errors.push({
+                    code   : 'unknownOption',
+                    path   : keyPath,
+                    message: 'Unknown option ' + keyPath
+                });
+
+                return validConfig;
+            }
+
+            keyValue = validateConfig(value[key], keySchema, keyPath, errors);
+            if (undefined !== keyValue) {
+                validConfig[key] = keyValue;
+            }
+
+            return validConfig;
+        }, {});
+    }
+
+    /**
+     * Load a deferred element, adding the loaded class once it is downloaded.
+     * Embed thumbnails wait for the media consent.
+     *
+     * On constrained connections, the srcset is restored by the next
+     * lazyLoad() call with a better connection.
+     *
+     * @param {Element} element
+     * @param {object} options loadedClass, media consent and srcset.
+     */
+    function loadElement(element, options) {
+        var background  = element.getAttribute('data-defer-bg');
+        var embed       = element.deferEmbed;
+        var loadedClass = options.loadedClass;
+
+        if (embed) {
+            if (!options.media) {
+                return;
+            }
+
+            element.removeAttribute('data-defer-embed');
+            element.querySelector('.defer-embed-notice').textContent = new URL(embed.url, location.href).hostname;
+            if (!embed.provider.thumbnail) {
+                return;
+            }
+
+            Promise.resolve(embed.provider.thumbnail(embed.match, embed.url))
+            .then(url => url && setBackground(element, url, loadedClass))
+            .catch(() => {});
+
+            return;
+        }
+
+        if (background) {
+            element.removeAttribute('data-defer-bg');
+            setBackground(element, background, loadedClass);
+
+            return;
+        }
+
+        element.addEventListener('load', () => element.classList.add(loadedClass), { once: true });
+
+        if (options.srcset && 'PICTURE' === element.parentNode.nodeName) {
+            element.parentNode.querySelectorAll('source[data-defer-srcset]').forEach(source => restoreAttribute(source, 'srcset'));
+        }
+
+        if (options.srcset) {
+            restoreAttribute(element, 'srcset');
+        }
+        restoreAttribute(element, 'src');
+    }
+
+    /**
+     * Set the background image of an element, adding the loaded class once it
+     * is downloaded.
+     *
+     * @param {Element} element
+     * @param {string} url
+     * @param {string} loadedClass
+     */
+    function setBackground(element, url, loadedClass) {
+        var image = new Image();
+
+        image.onload = () => element.classList.add(loadedClass);
+        image.src    = url;
+
+        element.style.backgroundImage = 'url("' + url.replace(/"/g, '\\"') + '")';
+    }
+
+    /**
+     * Replace an iframe with a facade that loads it when its button is
+     * clicked. The iframe keeps its attributes, and the thumbnail is loaded
+     * as a deferred element.
+     * Until media consent is granted, the facade shows a notice with the
+     * embed domain.
+     *
+     * @param {HTMLIFrameElement} iframe
+     * @param {object} options media consent, and YouTube enabled and noCookie.
+     */
+    function createEmbedFacade(iframe, options) {
+        var url   = iframe.getAttribute('data-defer-iframe') || iframe.getAttribute('data-yt-src');
+        var embed = findEmbedProvider(url);
+
+        // The YouTube videos are not deferred when it is disabled.
+        if ('youtube' === embed.name && !options.youtube) {
+            return;
+        }
+
+        var provider = embed.provider;
+        var width    = parseInt(iframe.getAttribute('width'), 10);
+        var height   = parseInt(iframe.getAttribute('height'), 10);
+        var title    = iframe.getAttribute('title');
+        var facade   = document.createElement('div');
+        var button   = document.createElement('button');
+        var notice   = document.createElement('small');
+
+        facade.className     = 'defer-embed defer-embed-' + embed.name;
+        facade.deferEmbed    = embed;
+        facade.style.cssText = 'background:#000 center/cover no-repeat;position:relative;';
+        if (width && height) {
+            facade.style.paddingTop = (100 * height / width) + '%';
+        } else if (provider.height) {
+            facade.style.height = provider.height + 'px';
+        } else {
+            facade.style.paddingTop = (100 / provider.ratio) + '%';
+        }
+        facade.setAttribute('data-defer-embed', '');
+
+        button.type          = 'button';
+        button.className     = 'defer-embed-button';
+        button.textContent   = provider.label;
+        button.style.cssText = 'left:50%;position:absolute;top:50%;transform:translate(-50%,-50%);';
+        button.setAttribute('aria-label', provider.label + (title ? ': ' + title : ''));
+
+        notice.className     = 'defer-embed-notice';
+        notice.textContent   = 'Load external content from ' + new URL(url, location.href).hostname;
+        notice.style.cssText = 'bottom:0;color:#fff;left:0;padding:.5em;position:absolute;';
+
+        button.addEventListener('click', () => {
+            var src = provider.src(embed.match, url);
+
+            if (options.noCookie) {
+                src = src.replace(/\/\/(?:www\.)?youtube\.com\/embed\//i, '//www.youtube-nocookie.com/embed/');
+            }
+
+            iframe.removeAttribute('data-defer-iframe');
+            iframe.removeAttribute('data-yt-src');
+            iframe.src           = src;
+            iframe.style.cssText = 'border:0;height:100%;left:0;position:absolute;top:0;width:100%;' + iframe.style.cssText;
+
+            facade.textContent = '';
+            facade.appendChild(iframe);
+            iframe.focus();
+        });
+
+        iframe.parentNode.replaceChild(facade, iframe);
+        facade.appendChild(button);
+        facade.appendChild(notice);
+    }
+
+    /**
+     * Find the embed provider of a URL.
+     *
+     * @param {string} url
+     *
+     * @return {object} Provider name, provider, URL and match result.
+     */
+    function findEmbedProvider(url) {
+        var embed = { name: 'iframe', provider: defaultEmbedProvider, url: url, match: [url] };
+
+        Object.keys(embedProviders).some(name => {
+            var match = url.match(embedProviders[name].match);
+
+            if (match) {
+                embed = { name: name, provider: embedProviders[name], url: url, match: match };
+            }
+
+            return !!match;
+        });
+
+        return embed;
+    }
+
+    /**
+     * Get the thumbnail of an oEmbed endpoint.
+     *
+     * @param {string} url
+     *
+     * @return {Promise} Resolves with the thumbnail URL, if any.
+     */
+    function oEmbedThumbnail(url) {
+        return fetch(url)
+        .then(response => response.ok ? response.json() : {})
+        .then(data => data.thumbnail_url);
+    }
+
+    /**
+     * Add a query parameter to a URL.
+     *
+     * @param {string} url
+     * @param {string} name
+     * @param {string} value
+     *
+     * @return {string}
+     */
+    function addQueryParameter(url, name, value) {
+        return url + (-1 === url.indexOf('?') ? '?' : '&') + name + '=' + encodeURIComponent(value);
+    }
+
+    /**
+     * Move the value of a data-defer- attribute to the original attribute.
+     *
+     * @param {Element} element
+     * @param {string} name
+     */
+    function restoreAttribute(element, name) {
+        if (element.hasAttribute('data-defer-' + name)) {
+            element.setAttribute(name, element.getAttribute('data-defer-' + name));
+            element.removeAttribute('data-defer-' + name);
+        }
+    }
+
+    /**
+     * Get the PushManager of the Service Worker registration.
+     *
+     * @return {Promise}
+     */
+    function getPushManager() {
+        if (!('PushManager' in self)) {
+            return Promise.reject(Error('Push notifications are not supported'));
+        }
+
+        return navigator.serviceWorker.ready
+        .then(registration => registration.pushManager);
+    }
+
+    /**
+     * Decode a base64url string, like the VAPID keys.
+     *
+     * @param {string} value
+     *
+     * @return {Uint8Array}
+     */
+    function base64UrlToBytes(value) {
+        var base64 = (value + '='.repeat((4 - value.length % 4) % 4))
+            .replace(/-/g, '+')
+            .replace(/_/g, '/');
+
+        return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    }
+
+    /**
+     * Check if the key of a push subscription is the same as a new key.
+     *
+     * @param {ArrayBuffer} current
+     * @param {Uint8Array} key
+     *
+     * @return {boolean}
+     */
+    function isSameKey(current, key) {
+        var bytes = current ? new Uint8Array(current) : [];
+
+        return bytes.length === key.length && key.every((byte, index) => byte === bytes[index]);
+    }
+
     swTools.jsFile      = '';
     swTools.swConfig    = {};
     swTools.initialized = false;
@@ -0,0 +1,109 @@
+'use strict';
+
+var assert              = require('assert');
+var fs                  = require('fs');
+var os                  = require('os');
+var path                = require('path');
+var buildServiceWorker  = require('../src/build').buildServiceWorker;
+var createServiceWorker = require('./helpers/service-worker').createServiceWorker;
+
+var workersPath = path.join(__dirname, 'fixtures/workers');
+
+describe('build', function() {
+    var worker;
+
+    function createWorker(options) {
+        worker = createServiceWorker({ script: buildServiceWorker(options) });
+
+        return worker.install().then(() => worker.activate());
+    }
+
+    describe('default Service Worker', function() {
+        it('inlines the configuration', function() {
+            return createWorker({ config: { cache: { maxItems: 10, noCachePatterns: [/^\/admin\//] } } })
+            .then(() => {
+                assert.strictEqual(worker.sw.config.cache.maxItems, 10);
+                assert.deepStrictEqual(worker.sw.config.cache.noCachePatterns, [/^\/admin\//]);
+            });
+        });
+
+        it('keeps the configuration sent by the pages', function() {
+            return createWorker({ config: { cache: { maxItems: 10 } } })
+            .then(() => worker.request({ command: 'setConfig', config: { cache: { maxItems: 20 } } }))
+            .then(() => assert.strictEqual(worker.sw.config.cache.maxItems, 20));
+        });
+
+        it('precaches the inlined manifest', function() {
+            worker = createServiceWorker({
+                script: buildServiceWorker({ precacheManifest: [{ url: '/app.js', revision: 'abc' }] })
+            });
+            worker.route('/app.js', 'app');
+
+            return worker.install()
+            .then(() => worker.activate())
+            .then(() => {
+                assert.deepStrictEqual(worker.caches.urls(worker.sw.globalConfig.precache.cache), [worker.origin + '/app.js?__sw-revision=abc']);
+            });
+        });
+
+        it('saves the minified Service Worker', function() {
+            var output = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'sw-tools-')), 'sw.min.js');
+
+            this.timeout(60000);
+            buildServiceWorker({ output: output, minify: true });
+
+            assert.ok(/function registerClassifier\(/.test(fs.readFileSync(output, 'utf8')));
+        });
+
+        it('minifies several Service Workers in the same process', function() {
+            this.timeout(60000);
+            buildServiceWorker({ minify: true });
+
+            assert.ok(/function registerClassifier\(/.test(buildServiceWorker({ version: 'v2', minify: true })));
+        });
+    });
+
+    describe('custom Service Worker', function() {
+        beforeEach(function() {
+            return createWorker({ entry: path.join(workersPath, 'custom-sw.js') });
+        });
+
+        it('responds with the registered fetch handlers', function() {
+            worker.route('/live', 'live');
+
+            return worker.fetch('/ping')
+            .then(response => response.text())
+            .then(text => {
+                assert.strictEqual(text, 'pong');
+
+                return worker.fetch('/live');
+            })
+            .then(response => response.text())
+            .then(text => assert.strictEqual(text, 'live'));
+        });
+
+        it('keeps the multi-line strings of the modules', function() {
+            return worker.fetch('/status')
+            .then(response => response.text())
+            .then(text => assert.strictEqual(text, '<h1>Status</h1>\n<p>OK</p>'));
+        });
+
+        it('lets the router respond to the other requests', function() {
+            worker.route('/style.css', 'body {}');
+
+            return worker.fetch('/style.css', { destination: 'style' })
+            .then(() => worker.settle())
+            .then(() => assert.deepStrictEqual(worker.caches.urls(worker.sw.cacheName('style')), [worker.origin + '/style.css']));
+        });
+    });
+
+    describe('errors', function() {
+        it('rejects the unsupported imports', function() {
+            var entry = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'sw-tools-')), 'sw.js');
+
+            fs.writeFileSync(entry, "import * as tools from '@veiss-com/sw-tools';\n");
+
+            assert.throws(() => buildServiceWorker({ entry: entry }), /Unsupported statement/);
+        });
+    });
+});
@@ -0,0 +1,163 @@
+'use strict';
+
+var assert              = require('assert');
+var fs                  = require('fs');
+var os                  = require('os');
+var path                = require('path');
+var cli                 = require('../src/cli');
+var createServiceWorker = require('./helpers/service-worker').createServiceWorker;
+
+describe('sw-tools CLI', function() {
+    var dist;
+
+    // Website with its built assets.
+    function writeAssets(assets) {
+        Object.keys(assets).forEach(file => {
+            fs.mkdirSync(path.dirname(path.join(dist, file)), { recursive: true });
+            fs.writeFileSync(path.join(dist, file), assets[file]);
+        });
+    }
+
+    function options(values) {
+        return Object.assign({
+            dist       : dist,
+            output     : path.join(dist, 'sw.min.js'),
+            manifest   : path.join(dist, 'precache-manifest.json'),
+            globIgnores: ['sw.min.js', 'precache-manifest.json'],
+            minify     : false,
+            config     : {}
+        }, values);
+    }
+
+    beforeEach(function() {
+        dist = fs.mkdtempSync(path.join(os.tmpdir(), 'sw-tools-'));
+        writeAssets({
+            'index.html'    : '<h1>Home</h1>',
+            'css/styles.css': 'body {}',
+            'img/logo.png'  : 'png',
+            'data/notes.txt': 'notes'
+        });
+    });
+
+    describe('build', function() {
+        it('writes the precache manifest of the assets', function() {
+            cli.build(options());
+
+            assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dist, 'precache-manifest.json'), 'utf8')).map(entry => entry.url), [
+                '/css/styles.css',
+                '/img/logo.png',
+                '/index.html'
+            ]);
+        });
+
+        it('builds the Service Worker with the manifest and the version', function() {
+            var result = cli.build(options({ config: { cache: { maxItems: 10 } } }));
+            var worker = createServiceWorker({ script: fs.readFileSync(path.join(dist, 'sw.min.js'), 'utf8') });
+
+            worker.route(/\.(html|css|png)$/, 'asset');
+
+            return worker.install()
+            .then(() => {
+                assert.strictEqual(worker.sw.globalConfig.version, result.version);
+                assert.strictEqual(worker.sw.config.cache.maxItems, 10);
+                assert.strictEqual(worker.caches.urls(worker.sw.globalConfig.precache.cache).length, 3);
+            });
+        });
+
+        it('changes the version when an asset changes', function() {
+            var version = cli.build(options()).version;
+
+            assert.strictEqual(cli.build(options()).version, version);
+
+            writeAssets({ 'css/styles.css': 'body { color: red; }' });
+
+            assert.notStrictEqual(cli.build(options()).version, version);
+        });
+    });
+
+    describe('inspect', function() {
+        var config = {
+            cache: {
+                noCacheItems: ['/admin'],
+                routes      : [
+                    { match: '/api/**', strategy: 'network-first' },
+                    { match: /\.png$/, strategy: 'stale-while-revalidate' }
+                ]
+            }
+        };
+
+        it('prints the URLs handled by each rule', function() {
+            var rules = cli.inspect(options({ config: config, globPatterns: ['**/*.html'] }), [
+                '/index.html',
+                '/api/items',
+                '/img/logo.png',
+                '/admin',
+                'https://example.org/script.js',
+                '/css/styles.css'
+            ]);
+
+            assert.deepStrictEqual(rules, [
+                { name: 'not handled', urls: ['https://example.com/admin', 'https://example.org/script.js'] },
+                { name: 'precache', urls: ['https://example.com/index.html'] },
+                { name: 'network-first /api/**', urls: ['https://example.com/api/items'] },
+                { name: 'stale-while-revalidate /\\.png$/', urls: ['https://example.com/img/logo.png'] },
+                { name: 'default cache-first (style)', urls: ['https://example.com/css/styles.css'] }
+            ]);
+        });
+
+        it('applies the rules of the Service Worker router', function() {
+            var rules = cli.inspect(options({
+                config: { cache: { routes: [{ match: '/{api,data}/**/items', strategy: 'network-only' }] } }
+            }), ['/sw.min.js', '/api/items', '/data/v2/items', '/api/users', '/api/users.json']);
+
+            assert.deepStrictEqual(rules, [
+                { name: 'not handled', urls: ['https://example.com/sw.min.js'] },
+                { name: 'network-only /{api,data}/**/items', urls: ['https://example.com/api/items', 'https://example.com/data/v2/items'] },
+                { name: 'default network-first (content)', urls: ['https://example.com/api/users'] },
+                { name: 'default network-first (api)', urls: ['https://example.com/api/users.json'] }
+            ]);
+        });
+
+        it('inspects the assets by default', function() {
+            var rules = cli.inspect(options({ config: config }));
+
+            assert.deepStrictEqual(rules.map(rule => rule.name), ['precache', 'network-first /api/**', 'stale-while-revalidate /\\.png$/']);
+            assert.strictEqual(rules[0].urls.length, 3);
+        });
+    });
+
+    describe('run', function() {
+        it('minifies the Service Worker only with --minify', function() {
+            var output = path.join(dist, 'sw.min.js');
+
+            this.timeout(60000);
+            cli.run(['build', '--dist', dist]);
+            assert.ok(/\/\/ src\/sw\/config\.js/.test(fs.readFileSync(output, 'utf8')));
+
+            cli.run(['build', '--dist', dist, '--minify']);
+            assert.ok(!/\/\/ src\/sw\/config\.js/.test(fs.readFileSync(output, 'utf8')));
+        });
+
+        it('does not precache the configuration file', function() {
+            var file = path.join(dist, 'sw-tools.config.js');
+
+            fs.writeFileSync(file, 'module.exports = { globPatterns: [\'**/*.{html,js}\'] };');
+            cli.run(['build', '--dist', dist, '--config', file]);
+
+            assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dist, 'precache-manifest.json'), 'utf8')).map(entry => entry.url), ['/index.html']);
+        });
+
+        it('rejects the unknown commands', function() {
+            assert.throws(() => cli.run(['deploy', '--dist', dist]), /Usage: sw-tools/);
+        });
+
+        it('prints the usage without command before reading the options', function() {
+            assert.throws(() => cli.run([]), /^Error: Usage: sw-tools/);
+            assert.throws(() => cli.run(['deploy']), /^Error: Usage: sw-tools/);
+        });
+
+        it('rejects the missing configuration files', function() {
+            assert.throws(() => cli.run(['build', '--config', path.join(dist, 'missing.js')]), /not found/);
+        });
+    });
+});
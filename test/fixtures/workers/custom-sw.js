@@ -0,0 +1,20 @@
+import { listen, networkOnly, registerFetchHandler } from '@veiss-com/sw-tools';
+import { pingResponse, statusResponse } from './handlers.js';
+
+registerFetchHandler(event => {
+    if ('/ping' === new URL(event.request.url).pathname) {
+        return pingResponse();
+    }
+
+    if ('/status' === new URL(event.request.url).pathname) {
+        return statusResponse();
+    }
+});
+
+registerFetchHandler(event => {
+    if ('/live' === new URL(event.request.url).pathname) {
+        return networkOnly(event);
+    }
+});
+
+listen();
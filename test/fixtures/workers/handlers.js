@@ -0,0 +1,8 @@
+export function pingResponse() {
+    return new Response('pong');
+}
+
+export function statusResponse() {
+    return new Response(`<h1>Status</h1>
+<p>OK</p>`);
+}
@@ -0,0 +1,142 @@
+/**
+ * In-memory implementation of the Cache API, enough for the Service Worker
+ * tests. Responses are stored per URL and a clone is returned on every match.
+ */
+
+'use strict';
+
+/**
+ * In-memory Cache.
+ *
+ * @param {string} origin Base of the relative URLs.
+ */
+var Cache = function(origin) {
+    this.origin  = origin;
+    this.entries = new Map();
+};
+
+Cache.prototype.match = function(request, options) {
+    var url     = this.url(request, options);
+    var matched = Array.from(this.entries.keys()).find(key => this.url(key, options) === url);
+
+    return Promise.resolve(matched ? this.entries.get(matched).response.clone() : undefined);
+};
+
+Cache.prototype.put = function(request, response) {
+    if (response.bodyUsed) {
+        return Promise.reject(new TypeError('Response body is already used'));
+    }
+
+    this.entries.set(this.url(request), {
+        request : ('string' === typeof request) ? new Request(this.url(request)) : request,
+        response: response
+    });
+
+    return Promise.resolve();
+};
+
+Cache.prototype.add = function(request) {
+    return fetch(request).then(response => this.put(request, response));
+};
+
+Cache.prototype.addAll = function(requests) {
+    return Promise.all(requests.map(request => this.add(request)));
+};
+
+Cache.prototype.delete = function(request, options) {
+    var url     = this.url(request, options);
+    var deleted = false;
+
+    Array.from(this.entries.keys())
+    .filter(key => this.url(key, options) === url)
+    .forEach(key => {
+        deleted = this.entries.delete(key) || deleted;
+    });
+
+    return Promise.resolve(deleted);
+};
+
+Cache.prototype.keys = function() {
+    return Promise.resolve(Array.from(this.entries.values()).map(entry => entry.request));
+};
+
+/**
+ * Absolute URL of a request, without the query when ignoreSearch is set.
+ *
+ * @param {string|Request} request
+ * @param {object} options
+ *
+ * @return {string}
+ */
+Cache.prototype.url = function(request, options) {
+    var url = new URL('string' === typeof request ? request : request.url, this.origin);
+
+    url.hash = '';
+    if (options && options.ignoreSearch) {
+        url.search = '';
+    }
+
+    return url.href;
+};
+
+/**
+ * In-memory CacheStorage.
+ *
+ * @param {string} origin Base of the relative URLs.
+ */
+var CacheStorage = function(origin) {
+    this.origin = origin;
+    this.caches = new Map();
+};
+
+CacheStorage.prototype.open = function(cacheName) {
+    if (!this.caches.has(cacheName)) {
+        this.caches.set(cacheName, new Cache(this.origin));
+    }
+
+    return Promise.resolve(this.caches.get(cacheName));
+};
+
+CacheStorage.prototype.has = function(cacheName) {
+    return Promise.resolve(this.caches.has(cacheName));
+};
+
+CacheStorage.prototype.delete = function(cacheName) {
+    return Promise.resolve(this.caches.delete(cacheName));
+};
+
+CacheStorage.prototype.keys = function() {
+    return Promise.resolve(Array.from(this.caches.keys()));
+};
+
+CacheStorage.prototype.match = function(request, options) {
+    var names = (options && options.cacheName) ? [options.cacheName] : Array.from(this.caches.keys());
+
+    return names.reduce((matched, cacheName) => {
+        return matched.then(response => {
+            if (response || !this.caches.has(cacheName)) {
+                return response;
+            }
+
+            return this.caches.get(cacheName).match(request, options);
+        });
+    }, Promise.resolve(undefined));
+};
+
+/**
+ * URLs saved in a cache, for assertions.
+ *
+ * @param {string} cacheName
+ *
+ * @return {Array}
+ */
+CacheStorage.prototype.urls = function(cacheName) {
+    var cache = this.caches.get(cacheName);
+
+    return cache ? Array.from(cache.entries.keys()) : [];
+};
+
+module.exports = {
+    Cache       : Cache,
+    CacheStorage: CacheStorage
+};
@@ -0,0 +1,219 @@
+/**
+ * Page harness for swTools. Each client is a jsdom window with a fake
+ * navigator.serviceWorker, connected to a simulated Service Worker (see
+ * service-worker.js) when the page is controlled.
+ */
+
+'use strict';
+
+var fs             = require('fs');
+var path           = require('path');
+var JSDOM          = require('jsdom').JSDOM;
+var MessageChannel = require('./message-channel').MessageChannel;
+var wait           = require('./service-worker').wait;
+
+var scriptPath = path.join(__dirname, '../../src/swTools.js');
+var script     = null;
+
+/**
+ * Create a page with the swTools library loaded.
+ *
+ * @param {object} options
+ *   - html. Page content.
+ *   - url. Page URL. Defaults to the worker origin.
+ *   - worker. Simulated Service Worker controlling the page.
+ *   - controlled. false for the first visit: the worker is active but does
+ *     not control the page yet.
+ *   - connection. navigator.connection properties.
+ *
+ * @return {Client}
+ */
+function createClient(options) {
+    return new Client(options || {});
+}
+
+/**
+ * Simulated page.
+ *   - window, document. The jsdom page.
+ *   - serviceWorker. The fake navigator.serviceWorker.
+ *   - messages. Messages posted to the Service Worker.
+ *
+ * @param {object} options
+ */
+var Client = function(options) {
+    var worker = options.worker;
+    var url    = options.url || new URL('/', worker ? worker.origin : 'https://example.com').href;
+    var dom    = new JSDOM(options.html || '<!DOCTYPE html><html><head></head><body></body></html>', {
+        url       : url,
+        runScripts: 'outside-only'
+    });
+
+    this.dom        = dom;
+    this.window     = dom.window;
+    this.document   = dom.window.document;
+    this.worker     = worker;
+    this.controlled = false !== options.controlled;
+    this.messages   = [];
+    this.loaded     = new Promise(resolve => dom.window.addEventListener('load', () => resolve()));
+
+    this.window.MessageChannel = MessageChannel;
+    this.window.PushManager    = function() {};
+    this.serviceWorker         = createContainer(this);
+    Object.defineProperty(this.window.navigator, 'serviceWorker', { value: this.serviceWorker });
+
+    if (options.connection) {
+        Object.defineProperty(this.window.navigator, 'connection', { value: createConnection(this.window, options.connection) });
+    }
+
+    if (worker) {
+        worker.connect(this);
+    }
+
+    script = script || fs.readFileSync(scriptPath, 'utf8');
+    this.window.eval(script);
+};
+
+/**
+ * Create the page swTools instance, like the page script does.
+ *
+ * @param {string} jsFile
+ * @param {object} swConfig
+ *
+ * @return {object} The swTools instance.
+ */
+Client.prototype.init = function(jsFile, swConfig) {
+    this.window.swTools = new this.window.swTools(jsFile, swConfig);
+
+    return this.window.swTools;
+};
+
+/**
+ * Wait for the page load event, which jsdom fires once the page is created.
+ * swTools must be initialized before, in the same task as createClient().
+ *
+ * @return {Promise}
+ */
+Client.prototype.load = function() {
+    return this.loaded;
+};
+
+/**
+ * Receive a Service Worker message, as the worker clients do.
+ *
+ * @param {object} data
+ */
+Client.prototype.postMessage = function(data) {
+    var serviceWorker = this.serviceWorker;
+    var event         = new this.window.MessageEvent('message', { data: structuredClone(data) });
+
+    setTimeout(() => serviceWorker.dispatchEvent(event));
+};
+
+/**
+ * Close the page once the load event and the Service Worker requests it
+ * started are handled.
+ *
+ * @return {Promise}
+ */
+Client.prototype.close = function() {
+    var worker = this.worker;
+
+    return this.loaded
+    .then(() => worker && worker.settle())
+    .then(() => wait(10))
+    .then(() => {
+        if (worker) {
+            worker.clients = worker.clients.filter(client => client !== this);
+        }
+
+        this.window.close();
+    });
+};
+
+/**
+ * Fake navigator.serviceWorker. The controller, when the page is controlled,
+ * and the active worker of the registration send the messages to the worker
+ * of the client. The registration has a fake PushManager.
+ *
+ * @param {Client} client
+ *
+ * @return {EventTarget}
+ */
+function createContainer(client) {
+    var window       = client.window;
+    var container    = new window.EventTarget();
+    var registration = new window.EventTarget();
+    var worker       = client.worker ? {
+        postMessage: (data, ports) => {
+            client.messages.push(structuredClone(data));
+            client.worker.postMessage(data, ports, client);
+        }
+    } : null;
+
+    container.registered = [];
+    container.controller = client.controlled ? worker : null;
+    container.register   = url => {
+        container.registered.push(url);
+
+        return Promise.resolve(registration);
+    };
+    container.ready      = Promise.resolve(registration);
+
+    registration.scope       = new URL('/', window.location.href).href;
+    registration.installing  = null;
+    registration.waiting     = null;
+    registration.active      = worker;
+    registration.pushManager = createPushManager();
+
+    return container;
+}
+
+/**
+ * Fake PushManager. subscription is the current PushSubscription.
+ *
+ * @return {object}
+ */
+function createPushManager() {
+    var pushManager = {
+        subscription   : null,
+        getSubscription: () => Promise.resolve(pushManager.subscription),
+        subscribe      : options => {
+            var key = Buffer.from(options.applicationServerKey).toString('base64url');
+
+            pushManager.subscription = {
+                options    : { applicationServerKey: options.applicationServerKey.buffer },
+                toJSON     : () => ({
+                    endpoint      : 'https://push.example.com/' + key,
+                    expirationTime: null,
+                    keys          : { p256dh: 'p256dh', auth: 'auth' }
+                }),
+                unsubscribe: () => {
+                    pushManager.subscription = null;
+
+                    return Promise.resolve(true);
+                }
+            };
+
+            return Promise.resolve(pushManager.subscription);
+        }
+    };
+
+    return pushManager;
+}
+
+/**
+ * Fake navigator.connection.
+ *
+ * @param {Window} window
+ * @param {object} properties
+ *
+ * @return {EventTarget}
+ */
+function createConnection(window, properties) {
+    return Object.assign(new window.EventTarget(), properties);
+}
+
+module.exports = {
+    createClient: createClient,
+    Client      : Client
+};
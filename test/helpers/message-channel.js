@@ -0,0 +1,43 @@
+/**
+ * MessageChannel whose messages are delivered in a later task, like the
+ * browser ones, and which do not keep Node running.
+ */
+
+'use strict';
+
+var MessagePort = function() {
+    this.other     = null;
+    this.closed    = false;
+    this.onmessage = null;
+};
+
+MessagePort.prototype.postMessage = function(data) {
+    var other = this.other;
+
+    if (this.closed) {
+        return;
+    }
+
+    data = structuredClone(data);
+    setTimeout(() => {
+        if (!other.closed && other.onmessage) {
+            other.onmessage({ data: data, target: other });
+        }
+    });
+};
+
+MessagePort.prototype.close = function() {
+    this.closed = true;
+};
+
+var MessageChannel = function() {
+    this.port1       = new MessagePort();
+    this.port2       = new MessagePort();
+    this.port1.other = this.port2;
+    this.port2.other = this.port1;
+};
+
+module.exports = {
+    MessageChannel: MessageChannel,
+    MessagePort   : MessagePort
+};
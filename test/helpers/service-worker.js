@@ -0,0 +1,529 @@
+/**
+ * ServiceWorkerGlobalScope simulator. Every worker created loads its own
+ * copy of the Service Worker script, with an in-memory CacheStorage, an empty
+ * fake IndexedDB and a fake network, and dispatches the worker events the way
+ * the browser does.
+ */
+
+'use strict';
+
+var fakeIndexedDB      = require('fake-indexeddb');
+var buildServiceWorker = require('../../src/build').buildServiceWorker;
+var CacheStorage       = require('./cache-storage').CacheStorage;
+var MessageChannel     = require('./message-channel').MessageChannel;
+
+// Default Service Worker, built once.
+var defaultScript = null;
+
+// Globals of the Service Worker script provided by the simulated scope.
+var scopeGlobals = ['self', 'caches', 'indexedDB', 'IDBKeyRange', 'fetch'];
+
+/**
+ * Create a Service Worker.
+ *
+ * @param {object} options
+ *   - origin. Defaults to https://example.com.
+ *   - precacheManifest. Entries defined before importing the script.
+ *   - script. Service Worker built with buildServiceWorker(). Defaults to
+ *     the default Service Worker.
+ *
+ * @return {ServiceWorker}
+ */
+function createServiceWorker(options) {
+    return new ServiceWorker(options || {});
+}
+
+/**
+ * Simulated Service Worker.
+ *   - sw. Functions and variables of the Service Worker script.
+ *   - scope. The fake ServiceWorkerGlobalScope (self).
+ *   - caches. In-memory CacheStorage.
+ *   - network. Responses by URL. See route().
+ *   - requests. Requests sent to the network.
+ *   - clients. Pages controlled by the Service Worker.
+ *   - notifications. Notifications shown.
+ *   - opened. URLs of the windows opened.
+ *
+ * @param {object} options
+ */
+var ServiceWorker = function(options) {
+    var worker = this;
+    var origin = options.origin || 'https://example.com';
+
+    this.origin        = origin;
+    this.caches        = new CacheStorage(origin);
+    this.indexedDB     = new fakeIndexedDB.IDBFactory();
+    this.network       = [];
+    this.requests      = [];
+    this.clients       = [];
+    this.notifications = [];
+    this.opened        = [];
+    this.listeners     = {};
+    this.pending       = [];
+    this.offline       = false;
+
+    this.scope = {
+        location          : new URL('/sw.min.js', origin),
+        navigator         : {
+            storage: {
+                estimate: () => Promise.resolve({ usage: 0, quota: 0 })
+            }
+        },
+        registration      : {
+            sync             : {
+                tags    : [],
+                register: function(tag) {
+                    this.tags.push(tag);
+
+                    return Promise.resolve();
+                }
+            },
+            showNotification : (title, options) => {
+                worker.notifications.push(Object.assign({
+                    title : title,
+                    closed: false,
+                    close : function() {
+                        this.closed = true;
+                    }
+                }, options));
+
+                return Promise.resolve();
+            },
+            navigationPreload: {
+                enabled       : false,
+                headerValue   : 'true',
+                enable        : function() {
+                    this.enabled = true;
+
+                    return Promise.resolve();
+                },
+                disable       : function() {
+                    this.enabled = false;
+
+                    return Promise.resolve();
+                },
+                setHeaderValue: function(value) {
+                    this.headerValue = value;
+
+                    return Promise.resolve();
+                }
+            }
+        },
+        clients           : {
+            matchAll  : () => Promise.resolve(worker.clients.slice()),
+            claim     : () => Promise.resolve(),
+            openWindow: url => {
+                worker.opened.push(url);
+
+                return Promise.resolve(null);
+            }
+        },
+        skipWaiting       : () => {
+            worker.skippedWaiting = true;
+
+            return Promise.resolve();
+        },
+        addEventListener  : (type, listener) => {
+            worker.listeners[type] = (worker.listeners[type] || []).concat(listener);
+        },
+        __precacheManifest: options.precacheManifest
+    };
+
+    this.script = options.script;
+    this.sw     = loadWorker(this);
+};
+
+/**
+ * Define the network response of a URL.
+ *
+ * @param {string|RegExp} match URL, relative to the origin, or pattern.
+ * @param {Response|string|function} response A function receives the request
+ *     and returns a Response or a Promise. Errors make the request fail.
+ *
+ * @return {ServiceWorker}
+ */
+ServiceWorker.prototype.route = function(match, response) {
+    if ('string' === typeof match) {
+        match = new URL(match, this.origin).href;
+    }
+
+    this.network.unshift({ match: match, response: response });
+
+    return this;
+};
+
+/**
+ * Network used by the Service Worker fetch() calls.
+ *
+ * @param {Request|string} request
+ *
+ * @return {Promise}
+ */
+ServiceWorker.prototype.fetchFromNetwork = function(request) {
+    var url;
+    var route;
+
+    request = ('string' === typeof request) ? new Request(new URL(request, this.origin)) : request;
+    url     = request.url;
+    route   = this.network.find(route => ('string' === typeof route.match) ? route.match === url : route.match.test(url));
+
+    this.requests.push(request);
+
+    if (this.offline || !route) {
+        return Promise.reject(new TypeError('Failed to fetch'));
+    }
+
+    return new Promise(resolve => {
+        if ('function' === typeof route.response) {
+            resolve(route.response(request));
+        } else if ('string' === typeof route.response) {
+            resolve(new Response(route.response));
+        } else {
+            resolve(route.response.clone());
+        }
+    });
+};
+
+/**
+ * Dispatch an event to the Service Worker listeners.
+ *
+ * @param {string} type
+ * @param {object} event
+ *
+ * @return {object} The event.
+ */
+ServiceWorker.prototype.dispatch = function(type, event) {
+    var worker = this;
+
+    event.type      = type;
+    event.promises  = [];
+    event.waitUntil = function(promise) {
+        this.promises.push(promise);
+        worker.pending.push(promise.catch(() => {}));
+    };
+
+    (this.listeners[type] || []).forEach(listener => listener(event));
+
+    return event;
+};
+
+/**
+ * Install the Service Worker.
+ *
+ * @return {Promise} Rejects when the installation fails.
+ */
+ServiceWorker.prototype.install = function() {
+    return Promise.all(this.dispatch('install', {}).promises);
+};
+
+/**
+ * Activate the Service Worker.
+ *
+ * @return {Promise}
+ */
+ServiceWorker.prototype.activate = function() {
+    return Promise.all(this.dispatch('activate', {}).promises);
+};
+
+/**
+ * Send a request through the Service Worker, like a controlled page.
+ * Requests not handled by the Service Worker go to the network. Navigations
+ * are preloaded when the navigation preload is enabled.
+ *
+ * @param {string|Request} input
+ * @param {object} init Request options, mode navigate and destination
+ *     included.
+ *
+ * @return {Promise} Resolves with the response.
+ */
+ServiceWorker.prototype.fetch = function(input, init) {
+    var request           = createRequest(input, init, this.origin);
+    var navigationPreload = this.scope.registration.navigationPreload;
+    var event             = {
+        request        : request,
+        preloadResponse: Promise.resolve(),
+        respondWith    : function(response) {
+            this.response = Promise.resolve(response);
+        }
+    };
+
+    if ('navigate' === request.mode && navigationPreload.enabled) {
+        event.preloadResponse = this.fetchFromNetwork(new Request(request.url, {
+            headers: { 'Service-Worker-Navigation-Preload': navigationPreload.headerValue }
+        }));
+    }
+
+    this.dispatch('fetch', event);
+
+    return event.response || this.fetchFromNetwork(request);
+};
+
+/**
+ * Send a command to the Service Worker and wait for the response, like
+ * swTools.request().
+ *
+ * @param {object} data
+ * @param {object} source Page sending the message.
+ *
+ * @return {Promise} Resolves with the result or rejects with the error.
+ */
+ServiceWorker.prototype.request = function(data, source) {
+    var channel = new MessageChannel();
+
+    return new Promise((resolve, reject) => {
+        channel.port1.onmessage = event => {
+            channel.port1.close();
+
+            if (event.data.error) {
+                reject(Error(event.data.error.message));
+
+                return;
+            }
+
+            resolve(event.data.result);
+        };
+
+        this.postMessage(data, [channel.port2], source);
+    });
+};
+
+/**
+ * Dispatch a message event.
+ *
+ * @param {object} data
+ * @param {Array} ports
+ * @param {object} source
+ *
+ * @return {Promise} Resolves when the message is handled.
+ */
+ServiceWorker.prototype.postMessage = function(data, ports, source) {
+    var event = this.dispatch('message', {
+        data  : structuredClone(data),
+        ports : ports || [],
+        source: source || null
+    });
+
+    return Promise.all(event.promises);
+};
+
+/**
+ * Dispatch a Background Sync event.
+ *
+ * @param {string} tag
+ *
+ * @return {Promise} Rejects when the browser would retry the sync.
+ */
+ServiceWorker.prototype.sync = function(tag) {
+    return Promise.all(this.dispatch('sync', { tag: tag || this.sw.globalConfig.queue.syncTag }).promises);
+};
+
+/**
+ * Dispatch a push event.
+ *
+ * @param {object|string} payload JSON payload or text.
+ *
+ * @return {Promise}
+ */
+ServiceWorker.prototype.push = function(payload) {
+    var text = ('string' === typeof payload) ? payload : JSON.stringify(payload);
+
+    return Promise.all(this.dispatch('push', {
+        data: {
+            text: () => text,
+            json: () => JSON.parse(text)
+        }
+    }).promises);
+};
+
+/**
+ * Dispatch a notificationclick or notificationclose event.
+ *
+ * @param {string} type click or close.
+ * @param {object} notification One of the notifications shown.
+ * @param {string} action Clicked action.
+ *
+ * @return {Promise}
+ */
+ServiceWorker.prototype.notificationEvent = function(type, notification, action) {
+    return Promise.all(this.dispatch('notification' + type, {
+        notification: notification,
+        action      : action || ''
+    }).promises);
+};
+
+/**
+ * Stop the Service Worker and start it again, like the browser does when it
+ * is idle. The script runs again with the same caches and database, so the
+ * saved configuration is restored.
+ *
+ * @return {Promise}
+ */
+ServiceWorker.prototype.restart = function() {
+    return this.settle()
+    .then(() => {
+        this.listeners = {};
+        this.sw        = loadWorker(this);
+    });
+};
+
+/**
+ * Add a page controlled by the Service Worker.
+ *
+ * @param {object} client postMessage(data) receives the worker messages.
+ *
+ * @return {object} The client.
+ */
+ServiceWorker.prototype.connect = function(client) {
+    this.clients.push(client);
+
+    return client;
+};
+
+/**
+ * Wait for the background work: waitUntil() promises, cache writes and
+ * IndexedDB transactions.
+ *
+ * @return {Promise}
+ */
+ServiceWorker.prototype.settle = function() {
+    var pending = this.pending;
+
+    this.pending = [];
+
+    return Promise.all(pending)
+    .then(() => wait(10))
+    .then(() => this.pending.length ? this.settle() : undefined);
+};
+
+/**
+ * Add a controlled page that only records the messages it receives, for
+ * tests without a client harness.
+ *
+ * @param {string} path Page URL. Defaults to /.
+ *
+ * @return {object} The client. messages has the received messages.
+ */
+ServiceWorker.prototype.createClient = function(path) {
+    return this.connect({
+        url        : new URL(path || '/', this.origin).href,
+        focused    : false,
+        messages   : [],
+        postMessage: function(data) {
+            this.messages.push(structuredClone(data));
+        },
+        focus      : function() {
+            this.focused = true;
+
+            return Promise.resolve(this);
+        }
+    });
+};
+
+/**
+ * Run the script of a simulated Service Worker in its scope.
+ *
+ * @param {ServiceWorker} worker
+ *
+ * @return {object} See load().
+ */
+function loadWorker(worker) {
+    return load({
+        self       : worker.scope,
+        caches     : worker.caches,
+        indexedDB  : worker.indexedDB,
+        IDBKeyRange: fakeIndexedDB.IDBKeyRange,
+        fetch      : request => worker.fetchFromNetwork(request)
+    }, worker.script);
+}
+
+/**
+ * Run the Service Worker script in the simulated scope. The top-level
+ * functions and variables are returned, the variables as accessors because
+ * the script reassigns some of them. The declarations of the wrapped modules
+ * are not top-level.
+ *
+ * @param {object} globals
+ * @param {string} script
+ *
+ * @return {object}
+ */
+function load(globals, script) {
+    var topLevel;
+    var functions;
+    var variables;
+    var exported;
+
+    defaultScript = defaultScript || buildServiceWorker();
+    script        = script || defaultScript;
+    topLevel      = script.replace(/^(var __module_\w+ = \(function\(\) \{)\n[\s\S]*?^\}\)\(\);$/gm, '$1');
+    functions     = matchAll(topLevel, /^function (\w+)/gm);
+    variables     = matchAll(topLevel, /^var (\w+)/gm);
+    exported  = functions.map(name => name + ': ' + name)
+    .concat(variables.map(name => {
+        return 'get ' + name + '() { return ' + name + '; }, set ' + name + '(value) { ' + name + ' = value; }';
+    }));
+
+    return Function.apply(null, scopeGlobals.concat(script + '\nreturn {\n' + exported.join(',\n') + '\n};'))
+    .apply(null, scopeGlobals.map(name => globals[name]));
+}
+
+/**
+ * Create a request, allowing the navigate mode and the destination that
+ * only the browser can set.
+ *
+ * @param {string|Request} input
+ * @param {object} init
+ * @param {string} origin
+ *
+ * @return {Request}
+ */
+function createRequest(input, init, origin) {
+    var properties;
+
+    if (input instanceof Request && !init) {
+        return input;
+    }
+
+    init       = Object.assign({}, init);
+    properties = {
+        mode       : init.mode || 'cors',
+        destination: init.destination || ''
+    };
+
+    delete init.mode;
+    delete init.destination;
+
+    return withProperties(new Request(new URL(input.url || input, origin), init), properties);
+}
+
+function withProperties(request, properties) {
+    var clone = request.clone;
+
+    Object.keys(properties).forEach(name => Object.defineProperty(request, name, { value: properties[name] }));
+    request.clone = function() {
+        return withProperties(clone.call(this), properties);
+    };
+
+    return request;
+}
+
+function matchAll(string, regexp) {
+    return Array.from(string.matchAll(regexp)).map(match => match[1]);
+}
+
+function wait(milliseconds) {
+    return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+
+// Wait until a condition is met. The test timeout applies.
+function until(condition) {
+    return condition() ? Promise.resolve() : wait(1).then(() => until(condition));
+}
+
+module.exports = {
+    createServiceWorker: createServiceWorker,
+    createRequest      : createRequest,
+    ServiceWorker      : ServiceWorker,
+    until              : until,
+    wait               : wait
+};
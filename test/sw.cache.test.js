@@ -0,0 +1,118 @@
+'use strict';
+
+var assert              = require('assert');
+var buildServiceWorker  = require('../src/build').buildServiceWorker;
+var createServiceWorker = require('./helpers/service-worker').createServiceWorker;
+
+describe('sw.js cache limits', function() {
+    var dateNow = Date.now;
+    var now;
+    var worker;
+
+    function setExpiration(expiration) {
+        return worker.request({ command: 'setConfig', config: { cache: { expiration: { style: expiration } } } })
+        .then(() => worker.settle());
+    }
+
+    // Requests a style at the current time, moving the clock forward.
+    function fetchStyle(path) {
+        now += 1000;
+
+        return worker.fetch(path, { destination: 'style' })
+        .then(() => worker.settle());
+    }
+
+    function cached() {
+        return worker.caches.urls(worker.sw.cacheName('style'))
+        .map(url => url.replace(worker.origin, ''))
+        .sort();
+    }
+
+    beforeEach(function() {
+        now      = dateNow();
+        Date.now = () => now;
+        worker   = createServiceWorker();
+        worker.route(/\.css$/, 'body {}');
+
+        return worker.install().then(() => worker.activate());
+    });
+
+    afterEach(function() {
+        Date.now = dateNow;
+    });
+
+    describe('trimCache', function() {
+        it('deletes the least recently used elements over maxItems', function() {
+            return setExpiration({ maxItems: 2 })
+            .then(() => fetchStyle('/1.css'))
+            .then(() => fetchStyle('/2.css'))
+            .then(() => fetchStyle('/1.css'))
+            .then(() => fetchStyle('/3.css'))
+            .then(() => assert.deepStrictEqual(cached(), ['/1.css', '/3.css']));
+        });
+
+        it('deletes the elements over maxBytes', function() {
+            worker.route(/\.css$/, () => new Response('0123456789'));
+
+            return setExpiration({ maxBytes: 25 })
+            .then(() => fetchStyle('/1.css'))
+            .then(() => fetchStyle('/2.css'))
+            .then(() => fetchStyle('/3.css'))
+            .then(() => assert.deepStrictEqual(cached(), ['/2.css', '/3.css']));
+        });
+
+        it('deletes the elements older than maxAgeSeconds', function() {
+            return setExpiration({ maxAgeSeconds: 60 })
+            .then(() => fetchStyle('/1.css'))
+            .then(() => {
+                now += 2 * 60 * 1000;
+
+                return fetchStyle('/2.css');
+            })
+            .then(() => worker.sw.trimCache(worker.sw.cacheName('style')))
+            .then(() => assert.deepStrictEqual(cached(), ['/2.css']));
+        });
+
+        it('deletes the elements without expiration data first', function() {
+            return worker.caches.open(worker.sw.cacheName('style'))
+            .then(cache => cache.put(worker.origin + '/old.css', new Response('old')))
+            .then(() => setExpiration({ maxItems: 1 }))
+            .then(() => fetchStyle('/1.css'))
+            .then(() => assert.deepStrictEqual(cached(), ['/1.css']));
+        });
+
+        it('does not apply the global maxItems to the precache', function() {
+            worker = createServiceWorker({ script: buildServiceWorker({ precacheManifest: ['/a.css', '/b.css', '/c.css'] }) });
+            worker.route(/\.css$/, 'body {}');
+
+            return worker.install()
+            .then(() => worker.activate())
+            .then(() => worker.request({ command: 'setConfig', config: { cache: { maxItems: 1 } } }))
+            .then(() => fetchStyle('/1.css'))
+            .then(() => worker.sw.trimCache(worker.sw.globalConfig.precache.cache))
+            .then(() => assert.strictEqual(worker.caches.urls(worker.sw.globalConfig.precache.cache).length, 3));
+        });
+
+        it('ignores the caches without limits', function() {
+            return fetchStyle('/1.css')
+            .then(() => fetchStyle('/2.css'))
+            .then(() => worker.sw.trimCache(worker.sw.cacheName('style')))
+            .then(() => assert.deepStrictEqual(cached(), ['/1.css', '/2.css']));
+        });
+    });
+
+    describe('expired elements', function() {
+        it('downloads the expired elements again', function() {
+            return setExpiration({ maxAgeSeconds: 60 })
+            .then(() => fetchStyle('/1.css'))
+            .then(() => {
+                now += 2 * 60 * 1000;
+
+                return fetchStyle('/1.css');
+            })
+            .then(() => {
+                assert.strictEqual(worker.requests.filter(request => request.url === worker.origin + '/1.css').length, 2);
+            });
+        });
+    });
+});
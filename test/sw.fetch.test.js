@@ -0,0 +1,310 @@
+'use strict';
+
+var assert              = require('assert');
+var createServiceWorker = require('./helpers/service-worker').createServiceWorker;
+
+describe('sw.js fetch', function() {
+    var worker;
+
+    function html(body) {
+        return new Response(body, { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+    }
+
+    function requested(path) {
+        return worker.requests.filter(request => request.url === worker.origin + path).length;
+    }
+
+    beforeEach(function() {
+        worker = createServiceWorker({
+            precacheManifest: [{ url: '/app.js', revision: '1' }, { url: '/offline.html', revision: '1' }]
+        });
+        worker
+        .route('/app.js', 'app')
+        .route('/offline.html', () => html('<img data-defer src="offline.png" width="20" height="10">'))
+        .route('/', () => html('<p>Home</p>'))
+        .route('/styles.css', 'body {}')
+        .route('/font.woff2', 'font')
+        .route('/video.mp4', 'video')
+        .route('/partial', () => html('<p>Partial</p>'))
+        .route('/api/items', () => new Response('[1]', { headers: { 'Content-Type': 'application/json' } }));
+
+        return worker.install().then(() => worker.activate());
+    });
+
+    describe('install', function() {
+        it('precaches the manifest', function() {
+            assert.deepStrictEqual(worker.caches.urls('sw-cache::precache'), [
+                worker.origin + '/app.js?__sw-revision=1',
+                worker.origin + '/offline.html?__sw-revision=1'
+            ]);
+        });
+
+        it('serves the precached elements without the network', function() {
+            worker.requests = [];
+
+            return worker.fetch('/app.js', { destination: 'script' })
+            .then(response => response.text())
+            .then(text => {
+                assert.strictEqual(text, 'app');
+                assert.strictEqual(worker.requests.length, 0);
+            });
+        });
+
+        it('applies the HTML transformations to the precached pages', function() {
+            return worker.fetch('/offline.html', { mode: 'navigate', destination: 'document' })
+            .then(response => response.text())
+            .then(text => assert.ok(-1 !== text.indexOf(' data-defer-src="offline.png"')));
+        });
+    });
+
+    describe('network-first', function() {
+        it('downloads and caches the pages', function() {
+            return worker.fetch('/', { mode: 'navigate', destination: 'document' })
+            .then(response => response.text())
+            .then(text => {
+                assert.strictEqual(text, '<p>Home</p>');
+
+                return worker.settle();
+            })
+            .then(() => {
+                assert.deepStrictEqual(worker.caches.urls(worker.sw.cacheName('content')), [worker.origin + '/']);
+            });
+        });
+
+        it('serves the cached page when offline', function() {
+            return worker.fetch('/', { mode: 'navigate', destination: 'document' })
+            .then(() => worker.settle())
+            .then(() => {
+                worker.offline = true;
+
+                return worker.fetch('/', { mode: 'navigate', destination: 'document' });
+            })
+            .then(response => response.text())
+            .then(text => assert.strictEqual(text, '<p>Home</p>'));
+        });
+
+        it('answers 503 when offline and not cached', function() {
+            worker.offline = true;
+
+            return worker.fetch('/', { mode: 'navigate', destination: 'document' })
+            .then(response => assert.strictEqual(response.status, 503));
+        });
+    });
+
+    describe('cache-first', function() {
+        it('downloads the static elements once', function() {
+            return worker.fetch('/styles.css', { destination: 'style' })
+            .then(() => worker.settle())
+            .then(() => worker.fetch('/styles.css', { destination: 'style' }))
+            .then(response => response.text())
+            .then(text => {
+                assert.strictEqual(text, 'body {}');
+                assert.strictEqual(requested('/styles.css'), 1);
+            });
+        });
+    });
+
+    describe('routes', function() {
+        function setRoutes(routes) {
+            return worker.request({ command: 'setConfig', config: { cache: { routes: routes } } })
+            .then(() => worker.settle());
+        }
+
+        it('applies the network-only strategy', function() {
+            return setRoutes([{ match: '/styles.css', strategy: 'network-only' }])
+            .then(() => worker.fetch('/styles.css', { destination: 'style' }))
+            .then(() => worker.settle())
+            .then(() => worker.fetch('/styles.css', { destination: 'style' }))
+            .then(() => {
+                assert.strictEqual(requested('/styles.css'), 2);
+                assert.deepStrictEqual(worker.caches.urls(worker.sw.cacheName('style')), []);
+            });
+        });
+
+        it('revalidates in the background with stale-while-revalidate', function() {
+            var version = 1;
+
+            worker.route('/styles.css', () => new Response('v' + version++));
+
+            return setRoutes([{ match: '/styles.css', strategy: 'stale-while-revalidate' }])
+            .then(() => worker.fetch('/styles.css', { destination: 'style' }))
+            .then(() => worker.settle())
+            .then(() => worker.fetch('/styles.css', { destination: 'style' }))
+            .then(response => response.text())
+            .then(text => {
+                assert.strictEqual(text, 'v1');
+
+                return worker.settle();
+            })
+            .then(() => worker.fetch('/styles.css', { destination: 'style' }))
+            .then(response => response.text())
+            .then(text => assert.strictEqual(text, 'v2'));
+        });
+
+        it('saves to the route cache', function() {
+            return setRoutes([{ match: '/api/**', strategy: 'cache-first', cacheName: 'api-data' }])
+            .then(() => worker.fetch('/api/items'))
+            .then(() => worker.settle())
+            .then(() => {
+                assert.deepStrictEqual(worker.caches.urls(worker.sw.cacheName('api-data')), [worker.origin + '/api/items']);
+            });
+        });
+
+        it('matches the glob alternatives and folders', function() {
+            var route = worker.sw.globToRegExp('/{api,data}/**/items');
+
+            assert.ok(route.test('/api/items'));
+            assert.ok(route.test('/data/v2/items'));
+            assert.ok(!route.test('/static/items'));
+        });
+    });
+
+    describe('resource types', function() {
+        it('classifies the requests by mode and destination', function() {
+            return Promise.all([
+                worker.fetch('/', { mode: 'navigate', destination: 'document' }),
+                worker.fetch('/styles.css', { destination: 'style' }),
+                worker.fetch('/font.woff2', { destination: 'font' }),
+                worker.fetch('/api/items', { headers: { Accept: 'application/json' } })
+            ])
+            .then(() => worker.settle())
+            .then(() => {
+                ['content', 'style', 'font', 'api'].forEach(type => {
+                    assert.strictEqual(worker.caches.urls(worker.sw.cacheName(type)).length, 1, type);
+                });
+            });
+        });
+
+        it('handles requests without Accept header', function() {
+            return worker.fetch('/api/items')
+            .then(response => response.text())
+            .then(text => assert.strictEqual(text, '[1]'));
+        });
+
+        it('answers the API requests without Accept header with the offline JSON', function() {
+            worker.offline = true;
+
+            return worker.fetch('/api/users')
+            .then(response => {
+                assert.strictEqual(response.status, 503);
+
+                return response.json();
+            })
+            .then(body => assert.deepStrictEqual(body, { offline: true }));
+        });
+
+        it('downloads the HTML partials requested with fetch()', function() {
+            return worker.fetch('/partial', { headers: { Accept: '*/*' } })
+            .then(() => worker.settle())
+            .then(() => {
+                worker.route('/partial', () => html('<p>New partial</p>'));
+
+                return worker.fetch('/partial', { headers: { Accept: '*/*' } });
+            })
+            .then(response => response.text())
+            .then(text => assert.strictEqual(text, '<p>New partial</p>'));
+        });
+
+        it('does not cache media by default', function() {
+            return worker.fetch('/video.mp4', { destination: 'video' })
+            .then(() => worker.settle())
+            .then(() => assert.deepStrictEqual(worker.caches.urls(worker.sw.cacheName('media')), []));
+        });
+
+        it('applies the registered classifier', function() {
+            worker.sw.registerClassifier(request => (-1 !== request.url.indexOf('/partial')) ? 'fragments' : undefined);
+
+            return worker.fetch('/partial')
+            .then(() => worker.settle())
+            .then(() => {
+                assert.deepStrictEqual(worker.caches.urls(worker.sw.cacheName('fragments')), [worker.origin + '/partial']);
+            });
+        });
+    });
+
+    describe('restart', function() {
+        function dispatchFetch(url, init) {
+            return worker.dispatch('fetch', {
+                request        : new Request(new URL(url, worker.origin), init),
+                preloadResponse: Promise.resolve(),
+                respondWith    : function(response) {
+                    this.response = response;
+                }
+            });
+        }
+
+        beforeEach(function() {
+            return worker.restart();
+        });
+
+        it('waits for the configuration to handle the requests to the origin', function() {
+            var event = dispatchFetch('/styles.css');
+
+            assert.ok(event.response);
+
+            return event.response
+            .then(response => response.text())
+            .then(text => assert.strictEqual(text, 'body {}'));
+        });
+
+        it('does not respond to the requests it can not handle', function() {
+            assert.strictEqual(dispatchFetch('https://example.org/script.js').response, undefined);
+            assert.strictEqual(dispatchFetch('/form', { method: 'POST' }).response, undefined);
+        });
+
+        it('waits for the configuration to handle the analytics requests', function() {
+            assert.ok(dispatchFetch('https://www.google-analytics.com/collect', { method: 'POST' }).response);
+        });
+    });
+
+    describe('network profile', function() {
+        function setNetworkProfile(profile) {
+            return worker.request({ command: 'setNetworkProfile', profile: profile });
+        }
+
+        it('applies the network thresholds of the Service Worker configuration', function() {
+            return setNetworkProfile({ effectiveType: '3g', constrained: false })
+            .then(profile => {
+                assert.strictEqual(profile.constrained, false);
+
+                return worker.request({ command: 'setConfig', config: { network: { slowEffectiveTypes: ['2g', '3g'] } } });
+            })
+            .then(() => assert.strictEqual(worker.sw.getNetworkProfile().constrained, true));
+        });
+
+        it('restores the network profile after a restart', function() {
+            return setNetworkProfile({ saveData: true })
+            .then(() => worker.restart())
+            .then(() => worker.sw.restoreConfig())
+            .then(() => {
+                assert.strictEqual(worker.sw.getNetworkProfile().saveData, true);
+                assert.strictEqual(worker.sw.getNetworkProfile().constrained, true);
+            });
+        });
+    });
+
+    describe('exclusions', function() {
+        it('does not handle the excluded items', function() {
+            return worker.request({ command: 'setConfig', config: { cache: { noCacheItems: ['/styles.css'] } } })
+            .then(() => worker.fetch('/styles.css', { destination: 'style' }))
+            .then(() => worker.settle())
+            .then(() => assert.deepStrictEqual(worker.caches.urls(worker.sw.cacheName('style')), []));
+        });
+
+        it('does not serve the excluded items from the precache', function() {
+            worker.route('/app.js', 'new app');
+
+            return worker.request({ command: 'setConfig', config: { cache: { noCacheItems: ['/app.js'] } } })
+            .then(() => worker.fetch('/app.js', { destination: 'script' }))
+            .then(response => response.text())
+            .then(text => assert.strictEqual(text, 'new app'));
+        });
+
+        it('does not cache when the cache is disabled', function() {
+            return worker.request({ command: 'setConfig', config: { cache: { enabled: false } } })
+            .then(() => worker.fetch('/styles.css', { destination: 'style' }))
+            .then(() => worker.settle())
+            .then(() => assert.deepStrictEqual(worker.caches.urls(worker.sw.cacheName('style')), []));
+        });
+    });
+});
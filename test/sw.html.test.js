@@ -0,0 +1,103 @@
+'use strict';
+
+var assert              = require('assert');
+var fs                  = require('fs');
+var path                = require('path');
+var createServiceWorker = require('./helpers/service-worker').createServiceWorker;
+
+var fixturesPath = path.join(__dirname, 'fixtures/html');
+
+describe('sw.js HTML rewriter', function() {
+    var worker;
+
+    function fixture(name) {
+        return fs.readFileSync(path.join(fixturesPath, name), 'utf8');
+    }
+
+    // HTML response downloaded in chunks of a fixed size.
+    function htmlResponse(html, chunkSize) {
+        var bytes = new TextEncoder().encode(html);
+        var body  = new ReadableStream({
+            start: function(controller) {
+                for (var start = 0; start < bytes.length; start += chunkSize) {
+                    controller.enqueue(bytes.slice(start, start + chunkSize));
+                }
+
+                controller.close();
+            }
+        });
+
+        return new Response(body, { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+    }
+
+    function transform(html, chunkSize) {
+        return Promise.resolve(worker.sw.transformHtml(htmlResponse(html, chunkSize || html.length)))
+        .then(response => response.text());
+    }
+
+    beforeEach(function() {
+        worker = createServiceWorker();
+
+        return worker.sw.restoreConfig();
+    });
+
+    describe('fixtures', function() {
+        fs.readdirSync(fixturesPath)
+        .filter(name => !/\.expected\.html$/.test(name))
+        .forEach(name => {
+            var expected = name.replace(/\.html$/, '.expected.html');
+
+            it('rewrites ' + name, function() {
+                return transform(fixture(name))
+                .then(html => assert.strictEqual(html, fixture(expected)));
+            });
+
+            it('rewrites ' + name + ' split in small chunks', function() {
+                return Promise.all([1, 3, 7, 64].map(chunkSize => transform(fixture(name), chunkSize)))
+                .then(results => results.forEach(html => assert.strictEqual(html, fixture(expected))));
+            });
+        });
+    });
+
+    describe('transformations', function() {
+        it('keeps the original markup of the unchanged tags', function() {
+            var html = '<IMG  SRC=a.jpg\talt = "x"><img data-defer>';
+
+            return transform(html)
+            .then(result => assert.strictEqual(result, html));
+        });
+
+        it('applies the registered transformations', function() {
+            worker.sw.registerHtmlTransform({
+                name     : 'external-links',
+                tags     : ['a'],
+                transform: tag => {
+                    if (!tag.closing && /^https?:/.test(tag.getAttribute('href'))) {
+                        tag.setAttribute('rel', 'noopener');
+                    }
+                }
+            });
+
+            return transform('<a href="/home">Home</a> <a href="https://example.org">Out</a>')
+            .then(html => assert.strictEqual(html, '<a href="/home">Home</a> <a href="https://example.org" rel="noopener">Out</a>'));
+        });
+
+        it('shows a notice instead of the YouTube thumbnail without media consent', function() {
+            worker.sw.config.consent.required = true;
+
+            return transform('<iframe data-yt-src="https://www.youtube.com/embed/abc_123"></iframe>')
+            .then(html => {
+                assert.ok(-1 !== html.indexOf('Load external content from YouTube'));
+                assert.ok(-1 === html.indexOf('img.youtube.com'));
+            });
+        });
+
+        it('does not transform other charsets', function() {
+            var response = new Response('<img data-defer src="a.jpg">', { headers: { 'Content-Type': 'text/html; charset=iso-8859-1' } });
+
+            return Promise.resolve(worker.sw.transformHtml(response))
+            .then(response => response.text())
+            .then(html => assert.strictEqual(html, '<img data-defer src="a.jpg">'));
+        });
+    });
+});
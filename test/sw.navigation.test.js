@@ -0,0 +1,163 @@
+'use strict';
+
+var assert              = require('assert');
+var buildServiceWorker  = require('../src/build').buildServiceWorker;
+var createServiceWorker = require('./helpers/service-worker').createServiceWorker;
+
+describe('sw.js navigations', function() {
+    var worker;
+
+    function createWorker(config) {
+        worker = createServiceWorker({ script: buildServiceWorker({ config: config }) });
+        worker.route('/shell/header.html', '<header>');
+        worker.route('/shell/footer.html', '</footer>');
+        worker.route(/\/partials\//, request => new Response('[' + new URL(request.url).pathname + ']'));
+        worker.route(/\.com\/(blog|about)\b/, request => new Response('page ' + new URL(request.url).pathname));
+
+        return worker.install().then(() => worker.activate());
+    }
+
+    function navigate(path) {
+        return worker.fetch(path, { mode: 'navigate' });
+    }
+
+    // Rest of a stream, as text.
+    function readText(reader, text) {
+        return reader.read()
+        .then(result => result.done ? text : readText(reader, text + new TextDecoder().decode(result.value)));
+    }
+
+    function requested() {
+        return worker.requests.map(request => request.url.replace(worker.origin, ''));
+    }
+
+    describe('navigation preload', function() {
+        it('is enabled when the Service Worker is activated', function() {
+            return createWorker({ navigationPreload: { enabled: true, headerValue: 'partial' } })
+            .then(() => {
+                var navigationPreload = worker.scope.registration.navigationPreload;
+
+                assert.strictEqual(navigationPreload.enabled, true);
+                assert.strictEqual(navigationPreload.headerValue, 'partial');
+            });
+        });
+
+        it('uses the preload response instead of downloading the page again', function() {
+            return createWorker({ navigationPreload: { enabled: true } })
+            .then(() => navigate('/blog'))
+            .then(response => response.text())
+            .then(text => {
+                assert.strictEqual(text, 'page /blog');
+                assert.deepStrictEqual(requested(), ['/blog']);
+                assert.strictEqual(worker.requests[0].headers.get('Service-Worker-Navigation-Preload'), 'true');
+            });
+        });
+
+        it('is disabled by the configuration sent by the pages', function() {
+            return createWorker({ navigationPreload: { enabled: true } })
+            .then(() => worker.request({ command: 'setConfig', config: { navigationPreload: { enabled: false } } }))
+            .then(() => worker.settle())
+            .then(() => assert.strictEqual(worker.scope.registration.navigationPreload.enabled, false));
+        });
+    });
+
+    describe('app shell', function() {
+        var appShell = {
+            enabled: true,
+            header : '/shell/header.html',
+            footer : '/shell/footer.html',
+            match  : ['/blog/**']
+        };
+
+        it('streams the cached header and footer around the content partial', function() {
+            return createWorker({ appShell: appShell })
+            .then(() => {
+                worker.requests = [];
+
+                return navigate('/blog/post?page=2');
+            })
+            .then(response => {
+                assert.strictEqual(response.headers.get('Content-Type'), 'text/html; charset=utf-8');
+
+                return response.text();
+            })
+            .then(text => {
+                assert.strictEqual(text, '<header>[/partials/blog/post]</footer>');
+                assert.deepStrictEqual(requested(), ['/partials/blog/post?page=2']);
+            });
+        });
+
+        it('streams the header before the partial is downloaded', function() {
+            var download;
+
+            return createWorker({ appShell: appShell })
+            .then(() => {
+                worker.route(/\/partials\//, () => new Promise(resolve => {
+                    download = resolve;
+                }));
+
+                return navigate('/blog/post');
+            })
+            .then(response => {
+                var reader = response.body.getReader();
+
+                return reader.read()
+                .then(result => {
+                    assert.strictEqual(new TextDecoder().decode(result.value), '<header>');
+                    download(new Response('content'));
+
+                    return readText(reader, '');
+                });
+            })
+            .then(text => assert.strictEqual(text, 'content</footer>'));
+        });
+
+        it('serves the cached partial offline', function() {
+            return createWorker({ appShell: Object.assign({ offlineContent: '<p>Offline</p>' }, appShell) })
+            .then(() => navigate('/blog/post'))
+            .then(response => response.text())
+            .then(() => worker.settle())
+            .then(() => {
+                worker.offline = true;
+
+                return Promise.all([navigate('/blog/post'), navigate('/blog/other')]);
+            })
+            .then(responses => Promise.all(responses.map(response => response.text())))
+            .then(texts => assert.deepStrictEqual(texts, [
+                '<header>[/partials/blog/post]</footer>',
+                '<header><p>Offline</p></footer>'
+            ]));
+        });
+
+        it('does not compose the other navigations', function() {
+            return createWorker({ appShell: appShell })
+            .then(() => navigate('/about'))
+            .then(response => response.text())
+            .then(text => assert.strictEqual(text, 'page /about'));
+        });
+
+        it('uses the preload response as the content partial', function() {
+            return createWorker({ appShell: appShell, navigationPreload: { enabled: true, headerValue: 'partial' } })
+            .then(() => {
+                worker.route(/\.com\/blog\b/, request => {
+                    var preload = 'partial' === request.headers.get('Service-Worker-Navigation-Preload');
+
+                    return new Response(preload ? '[preload]' : 'page');
+                });
+                worker.requests = [];
+
+                return navigate('/blog/post');
+            })
+            .then(response => response.text())
+            .then(text => {
+                assert.strictEqual(text, '<header>[preload]</footer>');
+                assert.deepStrictEqual(requested(), ['/blog/post']);
+            });
+        });
+
+        it('uses the partial URL convention', function() {
+            return createWorker({ appShell: Object.assign({ partialUrl: '{pathname}.partial{search}' }, appShell) })
+            .then(() => assert.strictEqual(worker.sw.partialUrl(worker.origin + '/blog/post?page=2'), worker.origin + '/blog/post.partial?page=2'));
+        });
+    });
+});
@@ -0,0 +1,213 @@
+'use strict';
+
+var assert              = require('assert');
+var createServiceWorker = require('./helpers/service-worker').createServiceWorker;
+var createClient        = require('./helpers/client').createClient;
+var until               = require('./helpers/service-worker').until;
+var wait                = require('./helpers/service-worker').wait;
+
+describe('prefetch', function() {
+    var worker;
+    var downloads;
+
+    function prefetch(paths, priority, session) {
+        return worker.request({
+            command : 'prefetch',
+            urls    : paths.map(path => worker.origin + path),
+            priority: priority,
+            session : session || 'page'
+        });
+    }
+
+    function statuses(results) {
+        return results.map(result => result.url.replace(worker.origin, '') + ' ' + result.status);
+    }
+
+    function cached() {
+        return worker.caches.urls(worker.sw.cacheName('content')).map(url => url.replace(worker.origin, ''));
+    }
+
+    function started(count) {
+        return until(() => downloads.length >= count);
+    }
+
+    function queued(count) {
+        return until(() => worker.sw.globalConfig.prefetch.queue.length >= count);
+    }
+
+    // Downloads wait until release() is called.
+    function release() {
+        downloads.splice(0).forEach(download => download.resolve());
+    }
+
+    beforeEach(function() {
+        worker    = createServiceWorker();
+        downloads = [];
+        worker.route(/\/page-\d+$/, request => new Promise(resolve => {
+            downloads.push({ url: request.url, resolve: () => resolve(new Response('page')) });
+        }));
+
+        return worker.install().then(() => worker.activate());
+    });
+
+    describe('scheduler', function() {
+        it('downloads and caches the pages', function() {
+            var prefetched = prefetch(['/page-1', '/page-2']);
+
+            return started(2)
+            .then(() => release())
+            .then(() => prefetched)
+            .then(results => {
+                assert.deepStrictEqual(statuses(results), ['/page-1 200', '/page-2 200']);
+
+                return worker.settle();
+            })
+            .then(() => assert.deepStrictEqual(cached(), ['/page-1', '/page-2']));
+        });
+
+        it('limits the concurrent downloads', function() {
+            var prefetched = prefetch(['/page-1', '/page-2', '/page-3']);
+
+            return started(2)
+            .then(() => {
+                assert.deepStrictEqual(worker.sw.globalConfig.prefetch.queue.map(item => item.url), [worker.origin + '/page-3']);
+                release();
+
+                return started(1);
+            })
+            .then(() => {
+                assert.strictEqual(worker.sw.globalConfig.prefetch.queue.length, 0);
+                release();
+
+                return prefetched;
+            });
+        });
+
+        it('downloads the high priority pages first', function() {
+            var low  = prefetch(['/page-1', '/page-2', '/page-3'], 'low');
+            var high = queued(1).then(() => prefetch(['/page-4'], 'high'));
+
+            return queued(2)
+            .then(() => {
+                release();
+
+                return started(2);
+            })
+            .then(() => {
+                assert.deepStrictEqual(downloads.map(download => download.url.replace(worker.origin, '')), ['/page-4', '/page-3']);
+                release();
+
+                return Promise.all([low, high]);
+            });
+        });
+
+        it('does not download the cached pages again', function() {
+            var prefetched = prefetch(['/page-1']);
+
+            return started(1)
+            .then(() => release())
+            .then(() => prefetched)
+            .then(() => worker.settle())
+            .then(() => prefetch(['/page-1']))
+            .then(results => assert.deepStrictEqual(statuses(results), ['/page-1 cached']));
+        });
+
+        it('respects the budget of the page session', function() {
+            var prefetched;
+
+            return worker.request({ command: 'setConfig', config: { prefetch: { maxRequests: 1 } } })
+            .then(() => {
+                prefetched = prefetch(['/page-1', '/page-2']);
+
+                return started(1);
+            })
+            .then(() => release())
+            .then(() => prefetched)
+            .then(results => assert.deepStrictEqual(statuses(results), ['/page-1 200', '/page-2 budget']));
+        });
+
+        it('cancels the queued prefetches of a page session', function() {
+            var prefetched = prefetch(['/page-1', '/page-2', '/page-3'], 'low', 'leaving');
+
+            return queued(1)
+            .then(() => worker.request({ command: 'cancelPrefetch', session: 'leaving' }))
+            .then(cancelled => {
+                assert.deepStrictEqual(cancelled, [worker.origin + '/page-3']);
+                release();
+
+                return prefetched;
+            })
+            .then(results => assert.deepStrictEqual(statuses(results), ['/page-1 200', '/page-2 200', '/page-3 cancelled']));
+        });
+    });
+
+    describe('page', function() {
+        var client;
+
+        function createPage(html, swConfig) {
+            client = createClient({ worker: worker, html: html });
+            client.init('/sw.min.js', swConfig);
+
+            // Time for the prefetches started at load.
+            return client.load()
+            .then(() => wait(20));
+        }
+
+        function prefetched() {
+            return client.messages
+            .filter(message => 'prefetch' === message.command)
+            .map(message => message.urls.map(url => url.replace(worker.origin, '')));
+        }
+
+        afterEach(function() {
+            return client.close();
+        });
+
+        it('prefetches the marked links at load', function() {
+            return createPage('<a href="/page-1" data-prefetch>1</a><a href="/page-2">2</a>')
+            .then(() => started(1))
+            .then(() => {
+                release();
+
+                return worker.settle();
+            })
+            .then(() => {
+                assert.deepStrictEqual(prefetched(), [['/page-1']]);
+                assert.deepStrictEqual(cached(), ['/page-1']);
+            });
+        });
+
+        it('prefetches the hovered links', function() {
+            return createPage('<a href="/page-1">1</a>', { prefetch: { hoverDelay: 0 } })
+            .then(() => {
+                client.document.querySelector('a').dispatchEvent(new client.window.Event('mouseenter'));
+
+                return started(1);
+            })
+            .then(() => {
+                release();
+
+                return worker.settle();
+            })
+            .then(() => {
+                assert.deepStrictEqual(prefetched(), [['/page-1']]);
+                assert.deepStrictEqual(cached(), ['/page-1']);
+            });
+        });
+
+        it('ignores the links not to prefetch', function() {
+            return createPage([
+                '<a href="https://example.org/page-1" data-prefetch>Other domain</a>',
+                '<a href="/page-2" data-prefetch data-no-prefetch>Marked</a>',
+                '<a href="/page-3" data-prefetch target="_blank">Target</a>',
+                '<a href="/page-4" data-prefetch download>Download</a>'
+            ].join(''))
+            .then(() => assert.deepStrictEqual(prefetched(), []));
+        });
+
+        it('does not prefetch when disabled', function() {
+            return createPage('<a href="/page-1" data-prefetch>1</a>', { prefetch: { enabled: false } })
+            .then(() => assert.deepStrictEqual(prefetched(), []));
+        });
+    });
+});
@@ -0,0 +1,146 @@
+'use strict';
+
+var assert              = require('assert');
+var createServiceWorker = require('./helpers/service-worker').createServiceWorker;
+
+describe('sw.js push notifications', function() {
+    var payload = {
+        title  : 'New post',
+        body   : 'Read the new post',
+        icon   : '/icons/post.png',
+        tag    : 'post-42',
+        url    : '/blog/post-42',
+        actions: [
+            { action: 'comments', title: 'Comments', url: '/blog/post-42#comments' }
+        ]
+    };
+    var worker;
+
+    function setConfig(config) {
+        return worker.request({ command: 'setConfig', config: config });
+    }
+
+    function reports() {
+        return worker.requests
+        .filter(request => request.url === worker.origin + '/analytics/notifications');
+    }
+
+    beforeEach(function() {
+        worker = createServiceWorker();
+
+        return worker.install().then(() => worker.activate());
+    });
+
+    describe('push', function() {
+        it('shows a notification from the JSON payload', function() {
+            return worker.push(payload)
+            .then(() => {
+                var notification = worker.notifications[0];
+
+                assert.strictEqual(notification.title, 'New post');
+                assert.strictEqual(notification.body, 'Read the new post');
+                assert.strictEqual(notification.icon, '/icons/post.png');
+                assert.strictEqual(notification.tag, 'post-42');
+                assert.deepStrictEqual(notification.actions, [{ action: 'comments', title: 'Comments', icon: undefined }]);
+                assert.deepStrictEqual(notification.data, {
+                    url    : '/blog/post-42',
+                    tag    : 'post-42',
+                    actions: { comments: '/blog/post-42#comments' }
+                });
+            });
+        });
+
+        it('uses the configured title and icon and shows text payloads as the body', function() {
+            return setConfig({ push: { title: 'Example', icon: '/icons/default.png' } })
+            .then(() => worker.push('Plain message'))
+            .then(() => {
+                assert.strictEqual(worker.notifications[0].title, 'Example');
+                assert.strictEqual(worker.notifications[0].icon, '/icons/default.png');
+                assert.strictEqual(worker.notifications[0].body, 'Plain message');
+            });
+        });
+    });
+
+    describe('restart', function() {
+        it('uses the saved configuration when a push starts the Service Worker', function() {
+            return setConfig({ push: { title: 'Example', icon: '/icons/default.png' } })
+            .then(() => worker.restart())
+            .then(() => worker.push({ body: 'Read the new post' }))
+            .then(() => {
+                assert.strictEqual(worker.notifications[0].title, 'Example');
+                assert.strictEqual(worker.notifications[0].icon, '/icons/default.png');
+            });
+        });
+
+        it('reports the notification events after a restart', function() {
+            worker.route('/analytics/notifications', '');
+
+            return setConfig({ push: { analyticsUrl: '/analytics/notifications' } })
+            .then(() => worker.push(payload))
+            .then(() => worker.restart())
+            .then(() => worker.notificationEvent('close', worker.notifications[0]))
+            .then(() => assert.strictEqual(reports().length, 1));
+        });
+    });
+
+    describe('notificationclick', function() {
+        it('focuses the page of the notification when it is open', function() {
+            var page = worker.createClient('/blog/post-42');
+
+            return worker.push(payload)
+            .then(() => worker.notificationEvent('click', worker.notifications[0]))
+            .then(() => {
+                assert.strictEqual(worker.notifications[0].closed, true);
+                assert.strictEqual(page.focused, true);
+                assert.deepStrictEqual(worker.opened, []);
+            });
+        });
+
+        it('opens the URL of the clicked action', function() {
+            worker.createClient('/blog/post-42');
+
+            return worker.push(payload)
+            .then(() => worker.notificationEvent('click', worker.notifications[0], 'comments'))
+            .then(() => assert.deepStrictEqual(worker.opened, [worker.origin + '/blog/post-42#comments']));
+        });
+    });
+
+    describe('analytics', function() {
+        beforeEach(function() {
+            worker.route('/analytics/notifications', '');
+
+            return setConfig({ push: { analyticsUrl: '/analytics/notifications' } })
+            .then(() => worker.push(payload));
+        });
+
+        it('reports the clicks and closes', function() {
+            return worker.notificationEvent('click', worker.notifications[0], 'comments')
+            .then(() => worker.notificationEvent('close', worker.notifications[0]))
+            .then(() => Promise.all(reports().map(request => request.json())))
+            .then(bodies => {
+                assert.deepStrictEqual(bodies.map(body => [body.type, body.tag, body.action, body.url]), [
+                    ['click', 'post-42', 'comments', '/blog/post-42'],
+                    ['close', 'post-42', null, '/blog/post-42']
+                ]);
+            });
+        });
+
+        it('queues the reports sent offline', function() {
+            worker.offline = true;
+
+            return worker.notificationEvent('close', worker.notifications[0])
+            .then(() => worker.request({ command: 'getQueue' }))
+            .then(queue => {
+                assert.strictEqual(queue.length, 1);
+                assert.strictEqual(queue[0].provider, 'notifications');
+                assert.strictEqual(queue[0].url, worker.origin + '/analytics/notifications');
+            });
+        });
+
+        it('does not report without analytics consent', function() {
+            return worker.request({ command: 'setConsent', consent: { analytics: false } })
+            .then(() => worker.notificationEvent('click', worker.notifications[0]))
+            .then(() => assert.deepStrictEqual(reports(), []));
+        });
+    });
+});
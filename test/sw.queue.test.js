@@ -0,0 +1,176 @@
+'use strict';
+
+var assert              = require('assert');
+var createServiceWorker = require('./helpers/service-worker').createServiceWorker;
+
+describe('sw.js offline queue', function() {
+    var collectUrl = 'https://www.google-analytics.com/collect?v=1&t=pageview';
+    var worker;
+    var client;
+
+    function getQueue() {
+        return worker.request({ command: 'getQueue' });
+    }
+
+    function sent() {
+        return worker.requests.filter(request => 0 === request.url.indexOf('https://www.google-analytics.com/'));
+    }
+
+    beforeEach(function() {
+        worker = createServiceWorker();
+        client = worker.createClient();
+        worker.route(/^https:\/\/www\.google-analytics\.com\/collect/, '');
+
+        return worker.install().then(() => worker.activate());
+    });
+
+    describe('analytics', function() {
+        it('queues the analytics requests sent offline', function() {
+            worker.offline = true;
+
+            return worker.fetch(collectUrl, { mode: 'no-cors', destination: '' })
+            .then(response => {
+                assert.strictEqual(response.status, 202);
+
+                return getQueue();
+            })
+            .then(queue => {
+                assert.strictEqual(queue.length, 1);
+                assert.strictEqual(queue[0].provider, 'google-analytics');
+                assert.strictEqual(queue[0].url, collectUrl);
+                assert.deepStrictEqual(worker.scope.registration.sync.tags, ['sw-tools-queue']);
+                assert.strictEqual(client.messages.pop().message, 'queueChanged');
+            });
+        });
+
+        it('replays the queue with the time the requests were queued', function() {
+            worker.offline = true;
+
+            return worker.fetch(collectUrl)
+            .then(() => {
+                worker.offline  = false;
+                worker.requests = [];
+
+                return worker.request({ command: 'reconnected' });
+            })
+            .then(result => {
+                assert.deepStrictEqual(result, { sent: 1, pending: 0 });
+                assert.strictEqual(sent().length, 1);
+                assert.ok(new URL(sent()[0].url).searchParams.has('qt'));
+
+                return getQueue();
+            })
+            .then(queue => assert.deepStrictEqual(queue, []));
+        });
+
+        it('retries the requests that fail with server errors', function() {
+            worker.offline = true;
+
+            return worker.fetch(collectUrl)
+            .then(() => {
+                worker.offline = false;
+                worker.route(/^https:\/\/www\.google-analytics\.com\/collect/, () => new Response('', { status: 503 }));
+
+                return worker.request({ command: 'reconnected' });
+            })
+            .then(result => {
+                assert.deepStrictEqual(result, { sent: 0, pending: 1 });
+
+                return getQueue();
+            })
+            .then(queue => assert.strictEqual(queue[0].retries, 1));
+        });
+
+        it('does not count the network errors as retries', function() {
+            worker.offline = true;
+
+            return worker.fetch(collectUrl)
+            .then(() => worker.request({ command: 'reconnected' }))
+            .then(result => {
+                assert.deepStrictEqual(result, { sent: 0, pending: 1 });
+
+                return getQueue();
+            })
+            .then(queue => assert.strictEqual(queue[0].retries, 0));
+        });
+
+        it('drops the requests over maxRetries', function() {
+            worker.offline = true;
+
+            return worker.request({ command: 'setConfig', config: { queue: { maxRetries: 1 } } })
+            .then(() => worker.fetch(collectUrl))
+            .then(() => {
+                worker.offline = false;
+                worker.route(/^https:\/\/www\.google-analytics\.com\/collect/, () => new Response('', { status: 503 }));
+
+                return worker.sync().catch(() => {});
+            })
+            .then(() => getQueue())
+            .then(queue => {
+                assert.strictEqual(queue[0].retries, 1);
+
+                return worker.sync();
+            })
+            .then(() => getQueue())
+            .then(queue => assert.deepStrictEqual(queue, []));
+        });
+
+        it('fails the sync event while requests are pending', function() {
+            worker.offline = true;
+
+            return worker.fetch(collectUrl)
+            .then(() => worker.sync())
+            .then(
+                () => assert.fail('The sync event should fail'),
+                error => assert.ok(/1 queued requests/.test(error.message))
+            );
+        });
+
+        it('does not queue requests without analytics consent', function() {
+            worker.offline = true;
+
+            return worker.request({ command: 'setConsent', consent: { analytics: false } })
+            .then(() => worker.fetch(collectUrl))
+            .then(
+                () => assert.fail('The request should fail'),
+                () => getQueue()
+            )
+            .then(queue => assert.deepStrictEqual(queue, []));
+        });
+
+        it('drops the queue when the analytics consent is withdrawn', function() {
+            worker.offline = true;
+
+            return worker.fetch(collectUrl)
+            .then(() => worker.request({ command: 'setConsent', consent: { analytics: false } }))
+            .then(() => getQueue())
+            .then(queue => assert.deepStrictEqual(queue, []));
+        });
+    });
+
+    describe('queue routes', function() {
+        it('replays the queued form submissions with their body', function() {
+            var body;
+
+            worker.route('/contact', request => request.text().then(text => {
+                body = text;
+
+                return new Response('', { status: 201 });
+            }));
+            worker.offline = true;
+
+            return worker.request({ command: 'setConfig', config: { queue: { routes: [{ match: '/contact', methods: ['POST'] }] } } })
+            .then(() => worker.fetch('/contact', { method: 'POST', body: 'name=Ana', headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }))
+            .then(response => {
+                assert.strictEqual(response.status, 202);
+                worker.offline = false;
+
+                return worker.request({ command: 'reconnected' });
+            })
+            .then(result => {
+                assert.deepStrictEqual(result, { sent: 1, pending: 0 });
+                assert.strictEqual(body, 'name=Ana');
+            });
+        });
+    });
+});
@@ -0,0 +1,271 @@
+'use strict';
+
+var assert              = require('assert');
+var fs                  = require('fs');
+var path                = require('path');
+var createServiceWorker = require('./helpers/service-worker').createServiceWorker;
+var createClient        = require('./helpers/client').createClient;
+var until               = require('./helpers/service-worker').until;
+
+describe('swTools.js', function() {
+    var worker;
+    var client;
+
+    // Objects created by the page, compared as plain objects.
+    function plain(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    function createPage(options, swConfig) {
+        client = createClient(Object.assign({ worker: worker }, options));
+
+        return client.init('/sw.min.js', swConfig);
+    }
+
+    beforeEach(function() {
+        worker = createServiceWorker();
+
+        return worker.install().then(() => worker.activate());
+    });
+
+    afterEach(function() {
+        return client.close();
+    });
+
+    describe('registration', function() {
+        it('registers the Service Worker', function() {
+            createPage();
+
+            assert.deepStrictEqual(client.serviceWorker.registered, ['/sw.min.js']);
+        });
+
+        it('adds the prompt update mode to the Service Worker URL', function() {
+            createPage({}, { update: { mode: 'prompt' } });
+
+            assert.deepStrictEqual(client.serviceWorker.registered, ['/sw.min.js?update=prompt']);
+        });
+
+        it('ignores the registration errors when it watches the updates', function() {
+            var unhandled = [];
+            var listener  = reason => unhandled.push(reason);
+
+            process.on('unhandledRejection', listener);
+            client = createClient({ worker: worker });
+            client.serviceWorker.register = () => Promise.reject(Error('Registration failed'));
+            client.init('/sw.min.js', { update: { mode: 'prompt' } });
+
+            return client.load()
+            .then(() => new Promise(resolve => setTimeout(resolve, 10)))
+            .then(() => {
+                process.removeListener('unhandledRejection', listener);
+                assert.deepStrictEqual(unhandled, []);
+            });
+        });
+    });
+
+    describe('configuration', function() {
+        it('ignores the invalid options', function() {
+            var module = createPage({}, { cache: { maxItems: 'many', enabled: false } });
+
+            assert.deepStrictEqual(plain(module.swConfig), { cache: { enabled: false } });
+            assert.deepStrictEqual(plain(module.configErrors.map(error => error.path)), ['cache.maxItems']);
+        });
+
+        it('sends the configuration to the Service Worker', function() {
+            var module = createPage();
+
+            return module.setConfig({ cache: { maxItems: 10 } })
+            .then(result => {
+                assert.deepStrictEqual(plain(result), { errors: [] });
+                assert.strictEqual(worker.sw.config.cache.maxItems, 10);
+            });
+        });
+
+        it('validates the same options as the Service Worker', function() {
+            var source = fs.readFileSync(path.join(__dirname, '../src/swTools.js'), 'utf8');
+            var schema = source.match(/\n    var configSchema = (\{[\s\S]*?\n    \});/)[1];
+
+            assert.deepStrictEqual(plain(new Function('return ' + schema)()), plain(worker.sw.configSchema));
+        });
+
+        it('rejects the requests of pages without Service Worker', function() {
+            var module = createPage({ worker: null });
+
+            return module.getQueue()
+            .then(
+                () => assert.fail('The request should fail'),
+                error => assert.ok(/not controlled/.test(error.message))
+            );
+        });
+    });
+
+    describe('lazyLoad', function() {
+        var images = '<picture><source data-defer-srcset="/hero.webp"><img data-defer-src="/hero.jpg" data-defer-srcset="/hero-2x.jpg 2x"></picture>';
+
+        it('loads the deferred images without IntersectionObserver', function() {
+            var module = createPage({ html: images });
+            var image  = client.document.querySelector('img');
+
+            module.lazyLoad();
+
+            assert.strictEqual(image.getAttribute('src'), '/hero.jpg');
+            assert.strictEqual(image.getAttribute('srcset'), '/hero-2x.jpg 2x');
+            assert.strictEqual(client.document.querySelector('source').getAttribute('srcset'), '/hero.webp');
+        });
+
+        it('does not load the image sources on constrained connections', function() {
+            var module = createPage({ html: images, connection: { saveData: true } });
+            var image  = client.document.querySelector('img');
+
+            module.lazyLoad();
+
+            assert.strictEqual(image.getAttribute('src'), '/hero.jpg');
+            assert.strictEqual(image.getAttribute('srcset'), null);
+            assert.strictEqual(client.document.querySelector('source').getAttribute('srcset'), null);
+        });
+
+        it('loads the deferred backgrounds', function() {
+            var module = createPage({ html: '<div data-defer-bg="/background.jpg"></div>' });
+
+            module.lazyLoad();
+
+            assert.strictEqual(client.document.querySelector('div').style.backgroundImage, 'url("/background.jpg")');
+        });
+    });
+
+    describe('embeds', function() {
+        var video = '<iframe data-yt-src="https://www.youtube.com/embed/abc_123" width="640" height="360" title="Demo"></iframe>';
+
+        it('replaces the embeds with a click to load facade', function() {
+            var module = createPage({ html: video }, { defer: { youtube: { noCookie: true } } });
+            var facade;
+
+            module.lazyLoad();
+            facade = client.document.querySelector('.defer-embed');
+
+            assert.ok(facade.classList.contains('defer-embed-youtube'));
+            assert.strictEqual(facade.style.paddingTop, '56.25%');
+            assert.strictEqual(facade.querySelector('button').getAttribute('aria-label'), 'Play video: Demo');
+
+            facade.querySelector('button').click();
+
+            assert.strictEqual(facade.querySelector('iframe').src, 'https://www.youtube-nocookie.com/embed/abc_123?autoplay=1');
+        });
+
+        it('does not replace the YouTube videos when it is disabled', function() {
+            var module = createPage({ html: video }, { defer: { youtube: { enabled: false } } });
+
+            module.lazyLoad();
+
+            assert.strictEqual(client.document.querySelector('.defer-embed'), null);
+            assert.ok(client.document.querySelector('iframe[data-yt-src]'));
+        });
+
+        it('shows a notice until media consent is granted', function() {
+            var module = createPage({ html: video }, { consent: { required: true } });
+            var facade;
+
+            module.lazyLoad();
+            facade = client.document.querySelector('.defer-embed');
+
+            assert.strictEqual(facade.querySelector('.defer-embed-notice').textContent, 'Load external content from www.youtube.com');
+            assert.ok(facade.hasAttribute('data-defer-embed'));
+
+            return module.setConsent({ media: true })
+            .then(() => {
+                assert.strictEqual(facade.querySelector('.defer-embed-notice').textContent, 'www.youtube.com');
+                assert.ok(!facade.hasAttribute('data-defer-embed'));
+            });
+        });
+    });
+
+    describe('consent', function() {
+        it('sends the consent given on the first visit to the active Service Worker', function() {
+            var module = createPage({ controlled: false });
+
+            return module.setConsent({ analytics: false })
+            .then(consent => {
+                assert.deepStrictEqual(plain(consent), { analytics: false });
+
+                return worker.request({ command: 'getConsent' });
+            })
+            .then(consent => assert.deepStrictEqual(consent, { analytics: false }));
+        });
+    });
+
+    describe('push', function() {
+        // VAPID public keys, base64url encoded.
+        var key      = 'BEl62iUYgUivxIkv69yViEuiBIa-Ib9-SkvMeAtA3LFgDzkrxZJjSgSnfckjBJuBkr3qBUYIHBQFLXYp5Nksh8U';
+        var otherKey = 'BNcRdreALRFXTkOOUHK1EtK2wtaz5Ry4YfYCA_0QTpQtUbVlUls0VJXg7A8u-Ts1XbjhazAkj7I99e8QcYP7DkM';
+
+        it('subscribes the page with the VAPID key', function() {
+            var module = createPage();
+
+            return module.subscribePush(key)
+            .then(subscription => assert.strictEqual(subscription.endpoint, 'https://push.example.com/' + key));
+        });
+
+        it('subscribes again when the VAPID key changes', function() {
+            var module = createPage();
+            var first;
+
+            return module.subscribePush(key)
+            .then(subscription => {
+                first = subscription;
+
+                return module.subscribePush(key);
+            })
+            .then(subscription => {
+                assert.deepStrictEqual(subscription, first);
+
+                return module.subscribePush(otherKey);
+            })
+            .then(subscription => assert.strictEqual(subscription.endpoint, 'https://push.example.com/' + otherKey));
+        });
+
+        it('unsubscribes the page', function() {
+            var module = createPage();
+
+            return module.subscribePush(key)
+            .then(() => module.unsubscribePush())
+            .then(subscription => {
+                assert.strictEqual(subscription.endpoint, 'https://push.example.com/' + key);
+
+                return module.unsubscribePush();
+            })
+            .then(subscription => assert.strictEqual(subscription, null));
+        });
+    });
+
+    describe('Service Worker messages', function() {
+        it('restores the consent saved in the Service Worker', function() {
+            var module;
+
+            return worker.request({ command: 'setConsent', consent: { analytics: false } })
+            .then(() => {
+                module = createPage();
+
+                return client.load();
+            })
+            .then(() => until(() => 'analytics' in module.consent))
+            .then(() => {
+                assert.strictEqual(module.hasConsent('analytics'), false);
+                assert.strictEqual(module.hasConsent('media'), true);
+            });
+        });
+
+        it('notifies the changes of the offline queue', function() {
+            var module = createPage();
+            var notified;
+
+            module.onQueueChanged(requests => {
+                notified = requests;
+            });
+            worker.offline = true;
+
+            return worker.fetch('https://www.google-analytics.com/collect?v=1')
+            .then(() => until(() => notified))
+            .then(() => assert.strictEqual(notified.length, 1));
+        });
+    });
+});